@@ -11,8 +11,52 @@ class BinaryParser {
     this.PATTERN_DLC = new Uint8Array([0xB0, 0xAD, 0x01, 0x00, 0x01]);
     this.FILE_SIGNATURE = new Int8Array([66, 78, 68, 52]); // "BND4"
 
+    // Profile summary blocks (one per slot, shown on the game's load menu)
+    this.SUMMARY_OFFSETS = [
+      0x1901d0e, 0x1901f5a, 0x19021a6, 0x19023f2, 0x190263e,
+      0x190288a, 0x1902ad6, 0x1902d22, 0x1902f6e, 0x19031ba
+    ];
+    this.SUMMARY_LAYOUT = { name: 0x00, level: 0x22, playtime: 0x26 };
+
+    // Player game data fields, relative to the UTF-16 character name inside the slot
+    this.PLAYER_DATA_LAYOUT = {
+      attributes: -0x60, // 8 consecutive u32: vigor..arcane
+      level: -0x34,
+      runes: -0x30
+    };
+    this.ATTRIBUTE_NAMES = [
+      'vigor', 'mind', 'endurance', 'strength',
+      'dexterity', 'intelligence', 'faith', 'arcane'
+    ];
+
+    // Inventory record layouts (byte offsets of little-endian u32 fields).
+    // Only the fields the tracker reads are decoded; the rest of a record is skipped
+    this.RECORD_LAYOUTS = {
+      normal: { size: 16, id: 0, quantity: 4 },
+      dlc: { size: 8, id: 0, quantity: 4 }
+    };
+
+    // Storage chest sanity limits: slot count (common + key items), stack size,
+    // and the item kinds an ID can start with (weapon, armor, talisman, goods, Ash of War)
+    this.STORAGE_CAPACITY = 1920 + 128;
+    this.MAX_STACK = 999;
+    this.ITEM_KINDS = [0x0, 0x1, 0x2, 0x4, 0x8];
+
     this.isDlcFile = false;
+    this.inventoryEnd = null;
     this.fileData = null;
+
+    // Optional progress callback: (message, fraction 0-1) => void
+    this.onProgress = null;
+  }
+
+  /**
+   * Report parsing progress to the optional callback
+   */
+  reportProgress(message, fraction) {
+    if (this.onProgress) {
+      this.onProgress(message, fraction);
+    }
   }
 
   /**
@@ -37,18 +81,46 @@ class BinaryParser {
   }
 
   /**
-   * Find pattern in buffer
+   * Find pattern in buffer (Knuth-Morris-Pratt, linear in buffer length)
    */
   findPattern(buffer, pattern) {
-    for (let i = 0; i < buffer.byteLength; i++) {
-      if (buffer[i] === pattern[0] &&
-        this.bufferEqual(buffer.subarray(i, i + pattern.byteLength), pattern)) {
-        return i;
+    const failure = this.buildFailureTable(pattern);
+    let matched = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+      while (matched > 0 && buffer[i] !== pattern[matched]) {
+        matched = failure[matched - 1];
+      }
+      if (buffer[i] === pattern[matched]) {
+        matched++;
+      }
+      if (matched === pattern.length) {
+        return i - pattern.length + 1;
       }
     }
     return null;
   }
 
+  /**
+   * Build KMP failure table: length of the longest proper prefix of
+   * pattern[0..i] that is also a suffix of it
+   */
+  buildFailureTable(pattern) {
+    const failure = new Uint32Array(pattern.length);
+    let length = 0;
+
+    for (let i = 1; i < pattern.length; i++) {
+      while (length > 0 && pattern[i] !== pattern[length]) {
+        length = failure[length - 1];
+      }
+      if (pattern[i] === pattern[length]) {
+        length++;
+      }
+      failure[i] = length;
+    }
+    return failure;
+  }
+
   /**
    * Extract all 10 character slots from save file
    */
@@ -73,12 +145,8 @@ class BinaryParser {
    */
   getCharacterNames(fileData) {
     const decoder = new TextDecoder("utf-8");
-    const offsets = [
-      0x1901d0e, 0x1901f5a, 0x19021a6, 0x19023f2, 0x190263e,
-      0x190288a, 0x1902ad6, 0x1902d22, 0x1902f6e, 0x19031ba
-    ];
 
-    const names = offsets.map(offset => {
+    const names = this.SUMMARY_OFFSETS.map(offset => {
       const nameData = new Int8Array(Array.from(
         new Uint16Array(fileData.slice(offset, offset + 32))
       ));
@@ -89,33 +157,162 @@ class BinaryParser {
   }
 
   /**
-   * Extract inventory from a specific slot
+   * Read level and playtime from the profile summary of a slot
    */
-  getInventory(slot) {
+  getCharacterSummary(fileData, slotIndex) {
+    const view = new DataView(fileData);
+    const offset = this.SUMMARY_OFFSETS[slotIndex];
+
+    return {
+      level: view.getUint32(offset + this.SUMMARY_LAYOUT.level, true),
+      playtime: view.getUint32(offset + this.SUMMARY_LAYOUT.playtime, true)
+    };
+  }
+
+  /**
+   * Read attributes and held runes from the player data block of a slot
+   * The block is located through the character name it contains
+   * @returns {Object|null} - { level, runes, attributes } or null if not found
+   */
+  getPlayerData(slot, characterName) {
+    if (!characterName) return null;
+
+    const nameBytes = new Uint8Array(characterName.length * 2);
+    for (let i = 0; i < characterName.length; i++) {
+      const code = characterName.charCodeAt(i);
+      nameBytes[i * 2] = code & 0xFF;
+      nameBytes[i * 2 + 1] = code >> 8;
+    }
+
+    const nameIndex = this.findPattern(slot, nameBytes);
+    const layout = this.PLAYER_DATA_LAYOUT;
+    if (nameIndex === null || nameIndex + layout.attributes < 0) return null;
+
+    const attributes = {};
+    this.ATTRIBUTE_NAMES.forEach((attribute, i) => {
+      attributes[attribute] = this.readUint32LE(slot, nameIndex + layout.attributes + i * 4);
+    });
+
+    const level = this.readUint32LE(slot, nameIndex + layout.level);
+
+    // Sanity check: character level is always the attribute sum minus 79
+    const attributeSum = Object.values(attributes).reduce((sum, value) => sum + value, 0);
+    if (level !== attributeSum - 79) return null;
+
+    return {
+      level: level,
+      runes: this.readUint32LE(slot, nameIndex + layout.runes),
+      attributes: attributes
+    };
+  }
+
+  /**
+   * Collect per-character stats for a slot
+   * @returns {Object} - { name, level, playtime, runes, attributes }
+   *                     Fields that could not be read are null
+   */
+  getCharacterInfo(fileData, slot, slotIndex, characterName) {
+    const summary = this.getCharacterSummary(fileData, slotIndex);
+    const playerData = this.getPlayerData(slot, characterName);
+
+    return {
+      name: characterName,
+      level: playerData ? playerData.level : summary.level,
+      playtime: summary.playtime,
+      runes: playerData ? playerData.runes : null,
+      attributes: playerData ? playerData.attributes : null
+    };
+  }
+
+  /**
+   * Locate an inventory section (pattern header up to 50 consecutive zeros)
+   * @param {Uint8Array} slot - Slot data
+   * @param {number} fromIndex - Offset to start searching at
+   * @param {boolean|null} isDlc - Force a format, or null to detect it
+   * @returns {Object|null} - { start, end, isDlc } as offsets into the slot
+   */
+  findInventorySection(slot, fromIndex = 0, isDlc = null) {
+    const area = slot.subarray(fromIndex, slot.byteLength);
+    let index = null;
+    let dlc = false;
+
     // Try normal pattern first
-    let index = this.findPattern(slot, this.PATTERN_NORMAL);
-
-    if (index !== null) {
-      index += this.PATTERN_NORMAL.byteLength + 8;
-      this.isDlcFile = false;
-    } else {
-      // Try DLC pattern
-      index = this.findPattern(slot, this.PATTERN_DLC);
+    if (isDlc !== true) {
+      index = this.findPattern(area, this.PATTERN_NORMAL);
+      if (index !== null) {
+        index += this.PATTERN_NORMAL.byteLength + 8;
+      }
+    }
+
+    // Try DLC pattern
+    if (index === null && isDlc !== false) {
+      index = this.findPattern(area, this.PATTERN_DLC);
       if (index !== null) {
         index += this.PATTERN_DLC.byteLength + 3;
-        this.isDlcFile = true;
-      } else {
-        return null;
+        dlc = true;
       }
     }
 
+    if (index === null) return null;
+
     // Find end of inventory (50 consecutive zeros)
     const endPattern = new Uint8Array(50).fill(0);
-    const endIndex = this.findPattern(slot.subarray(index, slot.byteLength), endPattern);
+    const endIndex = this.findPattern(area.subarray(index, area.byteLength), endPattern);
 
     if (endIndex === null) return null;
 
-    return slot.subarray(index, index + endIndex + 6);
+    return {
+      start: fromIndex + index,
+      end: fromIndex + index + endIndex + 6,
+      isDlc: dlc
+    };
+  }
+
+  /**
+   * Extract inventory from a specific slot
+   */
+  getInventory(slot) {
+    const section = this.findInventorySection(slot);
+    if (!section) return null;
+
+    this.isDlcFile = section.isDlc;
+    this.inventoryEnd = section.end;
+    return slot.subarray(section.start, section.end);
+  }
+
+  /**
+   * Extract storage chest (Sort Chest) contents from a specific slot
+   * The storage box is searched as the next section with the carried inventory's header.
+   * Its exact offset is not known, and the DLC header is only 5 bytes long, so the
+   * section is only trusted when its records look like an inventory
+   * @returns {Uint8Array|null} - Storage section, or null when not found (reported
+   *                              to the caller as storageFound: false)
+   */
+  getStorage(slot) {
+    if (this.inventoryEnd === null) return null;
+
+    const section = this.findInventorySection(slot, this.inventoryEnd, this.isDlcFile);
+    if (!section) return null;
+
+    const storage = slot.subarray(section.start, section.end);
+    return this.isPlausibleInventory(storage) ? storage : null;
+  }
+
+  /**
+   * Check that a section decodes into inventory records: at least one and at most
+   * STORAGE_CAPACITY, every ID of a known item kind and every stack size that
+   * could be read between 1 and MAX_STACK
+   */
+  isPlausibleInventory(data) {
+    const records = this.parseRecords(data);
+    if (records.length === 0 || records.length > this.STORAGE_CAPACITY) return false;
+
+    return records.every(record => {
+      const kind = parseInt(record.id[0], 16);
+      const quantity = record.quantity;
+      return this.ITEM_KINDS.includes(kind) &&
+        (quantity === null || (quantity >= 1 && quantity <= this.MAX_STACK));
+    });
   }
 
   /**
@@ -129,6 +326,45 @@ class BinaryParser {
     return chunks;
   }
 
+  /**
+   * Decode inventory bytes into structured records
+   * @param {Uint8Array} inventoryData - Raw inventory section
+   * @returns {Object[]} - [{ id, quantity }], empty entries skipped
+   *
+   * The inventory end marker can start inside the last record, so a trailing
+   * partial chunk still yields its ID with a null quantity.
+   */
+  parseRecords(inventoryData) {
+    const layout = this.isDlcFile ? this.RECORD_LAYOUTS.dlc : this.RECORD_LAYOUTS.normal;
+    const chunks = this.splitIntoChunks(Array.from(inventoryData), layout.size);
+
+    return chunks
+      .filter(chunk => chunk.length >= 4)
+      .map(chunk => this.parseRecord(chunk, layout))
+      .filter(record => record.id !== '00000000');
+  }
+
+  /**
+   * Decode a single inventory record
+   */
+  parseRecord(chunk, layout) {
+    return {
+      id: this.convertIdToHex(chunk.slice(layout.id, layout.id + 4)),
+      quantity: layout.quantity + 4 > chunk.length ? null : this.readUint32LE(chunk, layout.quantity)
+    };
+  }
+
+  /**
+   * Sum stack sizes per ID
+   */
+  sumQuantities(records) {
+    const quantities = {};
+    records.forEach(record => {
+      quantities[record.id] = (quantities[record.id] || 0) + (record.quantity || 0);
+    });
+    return quantities;
+  }
+
   /**
    * Convert little-endian ID to hex string (big-endian)
    */
@@ -141,6 +377,18 @@ class BinaryParser {
     return hexId.toUpperCase();
   }
 
+  /**
+   * Read unsigned 32-bit little-endian integer from byte array
+   */
+  readUint32LE(bytes, offset) {
+    return (
+      (bytes[offset] |
+        (bytes[offset + 1] << 8) |
+        (bytes[offset + 2] << 16) |
+        (bytes[offset + 3] << 24)) >>> 0
+    );
+  }
+
   /**
    * Convert decimal to hex with padding
    */
@@ -156,7 +404,9 @@ class BinaryParser {
    * Parse save file and extract inventory IDs
    * @param {ArrayBuffer} fileData - The save file data
    * @param {number} slotIndex - Slot index (0-9)
-   * @returns {Object} - { success: boolean, ids: string[], isDlc: boolean, characterName: string }
+   * @returns {Object} - { success: boolean, ids: string[], records: Object[], quantities: Object,
+   *                       storageIds: string[], storageRecords: Object[], storageQuantities: Object,
+   *                       storageFound: boolean, isDlc: boolean, characterName: string, character: Object }
    */
   parseInventory(fileData, slotIndex) {
     try {
@@ -167,6 +417,7 @@ class BinaryParser {
 
       this.fileData = fileData;
       const savesArray = new Uint8Array(fileData);
+      this.reportProgress('Reading character names', 0);
 
       // Get character names
       const characterNames = this.getCharacterNames(fileData);
@@ -176,26 +427,44 @@ class BinaryParser {
       const slots = this.getSlots(savesArray);
 
       // Get inventory for selected slot
+      this.reportProgress('Locating inventory', 0.1);
       const inventoryData = this.getInventory(slots[slotIndex]);
 
       if (!inventoryData) {
         return { success: false, error: "Could not find inventory data in slot" };
       }
 
-      // Convert to array and split into chunks
-      const inventory = Array.from(inventoryData);
-      const chunkSize = this.isDlcFile ? 8 : 16;
-      const chunks = this.splitIntoChunks(inventory, chunkSize);
+      // Decode fixed-size records
+      this.reportProgress('Decoding inventory', 0.4);
+      const records = this.parseRecords(inventoryData);
+      const itemIds = records.map(record => record.id);
+      const quantities = this.sumQuantities(records);
 
-      // Convert chunks to hex IDs
-      const itemIds = chunks.map(chunk => this.convertIdToHex(chunk));
+      // Character stats for the selected slot
+      this.reportProgress('Reading character stats', 0.5);
+      const character = this.getCharacterInfo(fileData, slots[slotIndex], slotIndex, characterName);
+
+      // Storage chest is located heuristically; callers are told when it was not found
+      this.reportProgress('Reading storage chest', 0.7);
+      const storageData = this.getStorage(slots[slotIndex]);
+      const storageRecords = storageData ? this.parseRecords(storageData) : [];
+      const storageIds = storageRecords.map(record => record.id);
+      const storageQuantities = this.sumQuantities(storageRecords);
+      this.reportProgress('Inventory parsed', 1);
 
       return {
         success: true,
         ids: itemIds,
+        records: records,
+        quantities: quantities,
+        storageIds: storageIds,
+        storageRecords: storageRecords,
+        storageQuantities: storageQuantities,
+        storageFound: storageData !== null,
         isDlc: this.isDlcFile,
         characterName: characterName,
-        totalItems: itemIds.length
+        character: character,
+        totalItems: records.length
       };
 
     } catch (error) {
@@ -205,7 +474,7 @@ class BinaryParser {
   }
 
   /**
-   * Get character names without parsing inventory
+   * Get character names and stats without parsing inventory
    */
   getSlotNames(fileData) {
     try {
@@ -214,7 +483,14 @@ class BinaryParser {
       }
 
       const names = this.getCharacterNames(fileData);
-      return { success: true, names: names };
+      const slots = this.getSlots(new Uint8Array(fileData));
+      const characters = names.map((name, index) => {
+        this.reportProgress(`Reading slot ${index + 1}`, index / names.length);
+        return name === '' ? null : this.getCharacterInfo(fileData, slots[index], index, name);
+      });
+      this.reportProgress('Slots read', 1);
+
+      return { success: true, names: names, characters: characters };
 
     } catch (error) {
       console.error("Error reading character names:", error);
@@ -223,5 +499,10 @@ class BinaryParser {
   }
 }
 
-// Export for use in other modules
-window.BinaryParser = BinaryParser;
+// Export for use in other modules (browser global or CommonJS for Node)
+// `self` is the window on the page and the global scope inside parserWorker.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BinaryParser;
+} else {
+  self.BinaryParser = BinaryParser;
+}
@@ -4,25 +4,53 @@
  */
 
 class DataLoader {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - Progress logger with log() and warn(), console by default
+   */
+  constructor(options = {}) {
+    const { logger = console } = options;
+
+    this.logger = logger;
     this.cache = {
       locationData: null,  // data.json
       dlcData: null,       // dlcData.json
-      collectibles: null   // collectibles.json
+      collectibles: null,  // collectibles.json
+      categories: null,    // categories.json
+      quests: null,        // quests.json
+      milestones: null,    // milestones.json
+      achievements: null   // achievements.json
     };
     this.loadingPromises = {};
+    this.dataVersion = null;  // version.json the cache was loaded with
   }
 
   /**
    * Fetch JSON file with caching
-   * Uses XMLHttpRequest to support local file:// protocol
+   * Uses XMLHttpRequest to support local file:// protocol, or the file system under Node
    */
   async fetchJSON(url) {
     if (this.loadingPromises[url]) {
       return this.loadingPromises[url];
     }
 
-    this.loadingPromises[url] = new Promise((resolve, reject) => {
+    const request = typeof XMLHttpRequest === 'undefined'
+      ? this.readJSONFile(url)
+      : this.requestJSON(url);
+
+    this.loadingPromises[url] = request.catch(error => {
+      delete this.loadingPromises[url];
+      throw error;
+    });
+
+    return this.loadingPromises[url];
+  }
+
+  /**
+   * Load JSON over XMLHttpRequest
+   */
+  requestJSON(url) {
+    return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
       xhr.open('GET', url, true);
       xhr.responseType = 'json';
@@ -42,12 +70,19 @@ class DataLoader {
       };
 
       xhr.send();
-    }).catch(error => {
-      delete this.loadingPromises[url];
-      throw error;
     });
+  }
 
-    return this.loadingPromises[url];
+  /**
+   * Load JSON from disk (Node), relative to the repository root
+   */
+  async readJSONFile(url) {
+    const fs = require('fs');
+    const path = require('path');
+
+    const filePath = path.resolve(__dirname, '..', '..', url);
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(text);
   }
 
   /**
@@ -55,12 +90,12 @@ class DataLoader {
    */
   async loadLocationData(includeDLC = true) {
     if (!this.cache.locationData) {
-      console.log('Loading location data...');
+      this.logger.log('Loading location data...');
       this.cache.locationData = await this.fetchJSON('assets/json/data.json');
     }
 
     if (includeDLC && !this.cache.dlcData) {
-      console.log('Loading DLC data...');
+      this.logger.log('Loading DLC data...');
       this.cache.dlcData = await this.fetchJSON('assets/json/dlcData.json');
     }
 
@@ -75,43 +110,155 @@ class DataLoader {
    */
   async loadCollectibles() {
     if (!this.cache.collectibles) {
-      console.log('Loading collectibles data...');
+      this.logger.log('Loading collectibles data...');
       this.cache.collectibles = await this.fetchJSON('assets/json/collectibles.json');
     }
     return this.cache.collectibles;
   }
 
+  /**
+   * Load the item category table (ID ranges and subcategories)
+   */
+  async loadCategories() {
+    if (!this.cache.categories) {
+      this.logger.log('Loading category data...');
+      this.cache.categories = await this.fetchJSON('assets/json/categories.json');
+    }
+    return this.cache.categories;
+  }
+
+  /**
+   * Load progression milestones that lock out missable items, in game order
+   */
+  async loadMilestones() {
+    if (!this.cache.milestones) {
+      this.logger.log('Loading milestone data...');
+      this.cache.milestones = await this.fetchJSON('assets/json/milestones.json');
+    }
+    return this.cache.milestones;
+  }
+
+  /**
+   * Load trophies and the item IDs each of them requires
+   */
+  async loadAchievements() {
+    if (!this.cache.achievements) {
+      this.logger.log('Loading achievement data...');
+      this.cache.achievements = await this.fetchJSON('assets/json/achievements.json');
+    }
+    return this.cache.achievements;
+  }
+
+  /**
+   * Load NPC questlines (ordered steps with their reward item IDs)
+   */
+  async loadQuests() {
+    if (!this.cache.quests) {
+      this.logger.log('Loading questline data...');
+      this.cache.quests = await this.fetchJSON('assets/json/quests.json');
+    }
+    return this.cache.quests;
+  }
+
   /**
    * Get merged location data (base + DLC)
+   * Regions and subregions present in both files keep the items of both;
+   * every item is tagged with content: 'base' or 'dlc'
    */
   getMergedData(includeDLC = true) {
     if (!this.cache.locationData) {
       throw new Error('Location data not loaded yet');
     }
 
-    if (!includeDLC || !this.cache.dlcData) {
-      return this.cache.locationData;
+    const merged = {};
+    this.mergeLocationData(merged, this.cache.locationData, 'base');
+
+    if (includeDLC && this.cache.dlcData) {
+      this.mergeLocationData(merged, this.cache.dlcData, 'dlc');
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge region > subregion > item data into target, tagging items with their content
+   */
+  mergeLocationData(target, source, content) {
+    for (const [region, subregions] of Object.entries(source)) {
+      if (!target[region]) {
+        target[region] = {};
+      }
+
+      for (const [subregion, items] of Object.entries(subregions)) {
+        if (!target[region][subregion]) {
+          target[region][subregion] = {};
+        }
+
+        for (const [itemId, itemData] of Object.entries(items)) {
+          target[region][subregion][itemId] = { ...itemData, content };
+        }
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Compare assets/json/version.json with the version the cache was loaded with,
+   * and clear the cache when the data files changed since (e.g. after an update
+   * while the page stayed open). Read past the promise cache so it is always current
+   * @returns {Promise<boolean>} - Whether the cache was cleared
+   */
+  async checkDataVersion() {
+    const url = 'assets/json/version.json';
+
+    let version;
+    try {
+      const data = await (typeof XMLHttpRequest === 'undefined'
+        ? this.readJSONFile(url)
+        : this.requestJSON(url));
+      version = data && data.version;
+    } catch (error) {
+      this.logger.warn(`Data version unavailable: ${error.message}`);
+      return false;
+    }
+
+    const changed = Boolean(this.dataVersion && version && version !== this.dataVersion);
+    if (changed) {
+      this.logger.log(`Data updated (${this.dataVersion} → ${version}), reloading...`);
+      this.clearCache();
     }
 
-    // Merge base and DLC data
-    return { ...this.cache.locationData, ...this.cache.dlcData };
+    this.dataVersion = version || this.dataVersion;
+    return changed;
   }
 
   /**
    * Load all data
    */
   async loadAll(options = {}) {
-    const { includeDLC = true, includeCollectibles = true } = options;
+    const { includeDLC = true, includeCollectibles = true, includeQuests = true } = options;
 
-    const promises = [this.loadLocationData(includeDLC)];
+    await this.checkDataVersion();
+
+    const promises = [
+      this.loadLocationData(includeDLC),
+      this.loadCategories(),
+      this.loadMilestones(),
+      this.loadAchievements()
+    ];
 
     if (includeCollectibles) {
       promises.push(this.loadCollectibles());
     }
 
+    if (includeQuests) {
+      promises.push(this.loadQuests());
+    }
+
     await Promise.all(promises);
 
-    console.log('All data loaded successfully');
+    this.logger.log('All data loaded successfully');
     return true;
   }
 
@@ -122,11 +269,19 @@ class DataLoader {
     this.cache = {
       locationData: null,
       dlcData: null,
-      collectibles: null
+      collectibles: null,
+      categories: null,
+      quests: null,
+      milestones: null,
+      achievements: null
     };
     this.loadingPromises = {};
   }
 }
 
-// Export for use in other modules
-window.DataLoader = DataLoader;
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataLoader;
+} else {
+  window.DataLoader = DataLoader;
+}
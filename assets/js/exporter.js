@@ -0,0 +1,174 @@
+/**
+ * Exporter Module
+ * Serializes tracked items as CSV, JSON or a Markdown checklist
+ */
+
+class Exporter {
+  constructor(tracker) {
+    this.tracker = tracker;
+
+    this.FORMATS = {
+      csv: { extension: 'csv', mimeType: 'text/csv' },
+      json: { extension: 'json', mimeType: 'application/json' },
+      markdown: { extension: 'md', mimeType: 'text/markdown' }
+    };
+
+    // CSV columns; the extra ones are only added on request (options.extraColumns)
+    this.CSV_COLUMNS = ['id', 'name', 'region', 'subregion', 'category', 'acquisition', 'owned'];
+    this.EXTRA_CSV_COLUMNS = ['subcategory', 'content'];
+  }
+
+  /**
+   * Serialize the items matching the given filter criteria
+   * @param {string} format - 'csv', 'json' or 'markdown'
+   * @param {Object} criteria - Same criteria as TrackerCore.filterItems
+   * @param {Object} options - { extraColumns: add subcategory and content to CSV }
+   * @returns {string}
+   */
+  serialize(format, criteria = {}, options = {}) {
+    const items = this.tracker.filterItems(criteria);
+
+    switch (format) {
+      case 'csv':
+        return this.toCSV(items, options);
+      case 'json':
+        return this.toJSON(items, criteria);
+      case 'markdown':
+        return this.toMarkdown(items);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Flatten an enriched item into export fields
+   */
+  toRow(item) {
+    return {
+      id: item.id,
+      name: item.name,
+      region: item.region,
+      subregion: item.subregion,
+      category: item.category,
+      subcategory: item.subcategory || '',
+      content: item.content,
+      acquisition: item.type,
+      owned: item.owned
+    };
+  }
+
+  /**
+   * CSV with one row per item
+   */
+  toCSV(items, options = {}) {
+    const { extraColumns = false } = options;
+    const columns = extraColumns ? [...this.CSV_COLUMNS, ...this.EXTRA_CSV_COLUMNS] : this.CSV_COLUMNS;
+    const lines = [columns.join(',')];
+
+    items.forEach(item => {
+      const row = this.toRow(item);
+      lines.push(columns.map(column => this.escapeCSV(row[column])).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Quote a CSV field when needed
+   */
+  escapeCSV(value) {
+    const text = String(value);
+    if (/[",\n\r]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Structured JSON with overall and filtered statistics
+   */
+  toJSON(items, criteria = {}) {
+    const owned = items.filter(item => item.owned).length;
+
+    const data = {
+      characterName: this.tracker.characterName,
+      exportedAt: new Date().toISOString(),
+      filter: criteria,
+      stats: this.tracker.stats,
+      filteredStats: {
+        total: items.length,
+        owned: owned,
+        missing: items.length - owned
+      },
+      items: items.map(item => this.toRow(item))
+    };
+
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  /**
+   * Markdown checklist grouped by region and subregion
+   */
+  toMarkdown(items) {
+    const grouped = this.tracker.groupByRegion(items);
+    const owned = items.filter(item => item.owned).length;
+    const percentage = items.length > 0 ? Math.round((owned / items.length) * 100) : 0;
+
+    const lines = [
+      `# ${this.tracker.characterName || 'Elden Ring'} Progress`,
+      '',
+      `**${percentage}%** complete (${owned} / ${items.length} items)`
+    ];
+
+    for (const [region, subregions] of Object.entries(grouped)) {
+      lines.push('', `## ${region}`);
+
+      for (const [subregion, subItems] of Object.entries(subregions)) {
+        const subOwned = subItems.filter(item => item.owned).length;
+        lines.push('', `### ${subregion} (${subOwned}/${subItems.length})`, '');
+
+        subItems.forEach(item => {
+          lines.push(`- [${item.owned ? 'x' : ' '}] ${item.name}`);
+        });
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build a file name for an export
+   */
+  getFileName(format) {
+    const base = (this.tracker.characterName || 'elden-ring')
+      .replace(/[^\w-]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'elden-ring';
+
+    return `${base}-progress.${this.FORMATS[format].extension}`;
+  }
+
+  /**
+   * Serialize and trigger a browser download
+   */
+  download(format, criteria = {}, options = {}) {
+    const content = this.serialize(format, criteria, options);
+    const blob = new Blob([content], { type: this.FORMATS[format].mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.getFileName(format);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Exporter;
+} else {
+  window.Exporter = Exporter;
+}
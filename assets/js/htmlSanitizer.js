@@ -0,0 +1,108 @@
+/**
+ * HTML Sanitizer Module
+ * Allow-list sanitizer for hint markup from item data, and text escaping
+ * for values interpolated into HTML templates
+ */
+
+class HtmlSanitizer {
+  constructor() {
+    // Allowed tags and the attributes each may keep
+    this.ALLOWED_TAGS = {
+      LI: [],
+      A: ['href'],
+      B: [],
+      I: [],
+      BR: []
+    };
+
+    // Removed together with their content; any other tag is unwrapped
+    this.DROPPED_TAGS = new Set([
+      'SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED',
+      'SVG', 'MATH', 'NOSCRIPT', 'TEXTAREA', 'SELECT', 'HEAD', 'TITLE'
+    ]);
+
+    this.ALLOWED_PROTOCOLS = ['http:', 'https:'];
+  }
+
+  /**
+   * Sanitize hint HTML
+   * @param {string} html - Untrusted markup
+   * @returns {DocumentFragment} - Only allow-listed elements and text
+   */
+  sanitize(html) {
+    // Template content is inert: nothing loads or runs while parsing
+    const template = document.createElement('template');
+    template.innerHTML = html || '';
+
+    const fragment = document.createDocumentFragment();
+    this.copyChildren(template.content, fragment);
+    return fragment;
+  }
+
+  /**
+   * Copy allowed nodes of source into target
+   */
+  copyChildren(source, target) {
+    source.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.appendChild(document.createTextNode(node.textContent));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || this.DROPPED_TAGS.has(node.tagName)) {
+        return;
+      }
+
+      if (!(node.tagName in this.ALLOWED_TAGS)) {
+        // Unwrap: keep the text of unknown tags (e.g. <ul>, <mark>)
+        this.copyChildren(node, target);
+        return;
+      }
+
+      const element = document.createElement(node.tagName.toLowerCase());
+      if (node.tagName === 'A') {
+        this.copyLink(node, element);
+      }
+
+      this.copyChildren(node, element);
+      target.appendChild(element);
+    });
+  }
+
+  /**
+   * Keep http(s) link targets only, opened in a new tab
+   */
+  copyLink(source, link) {
+    const href = source.getAttribute('href');
+    if (!href) return;
+
+    try {
+      const url = new URL(href, window.location.href);
+      if (this.ALLOWED_PROTOCOLS.includes(url.protocol)) {
+        link.href = url.href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+    } catch (error) {
+      // Invalid URL: keep the link text only
+    }
+  }
+
+  /**
+   * Escape text for interpolation into HTML
+   */
+  escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlSanitizer;
+} else {
+  window.HtmlSanitizer = HtmlSanitizer;
+}
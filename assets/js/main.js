@@ -7,18 +7,40 @@ class EldenRingTracker {
   constructor() {
     this.tracker = new TrackerCore();
     this.ui = new UI();
+    this.snapshots = new SnapshotStore();
+    this.exporter = new Exporter(this.tracker);
+    this.shareLink = new ShareLink(this.tracker);
+    this.routeStore = new RouteStore();
+
+    // Parse saves in a Web Worker and report its progress
+    this.tracker.saveParser = new ParserClient();
+    this.tracker.saveParser.onProgress = (message, fraction) => {
+      this.ui.setLoading(true, `${message}...`, fraction);
+    };
 
     this.currentFileData = null;
     this.currentSlot = null;
+    this.slotNames = [];
+    this.readOnly = false;
+    this.searchTimer = null;
+    this.SEARCH_DELAY = 200; // ms of typing pause before filtering
     this.currentFilter = { 
       status: 'all', 
       search: '', 
-      region: null,
+      region: 'all',
       category: 'all',
-      acquisition: 'all'
+      acquisition: 'all',
+      storage: 'all',
+      content: 'all'
     };
 
     this.initializeEventListeners();
+
+    if (this.shareLink.hasSharedProgress(window.location.hash)) {
+      this.openSharedProgress();
+    } else {
+      this.restoreLastSession();
+    }
   }
 
   /**
@@ -37,6 +59,16 @@ class EldenRingTracker {
       this.handleCalculate();
     });
 
+    this.ui.elements.btnCompare.addEventListener('click', () => {
+      this.handleCompare();
+    });
+
+    this.ui.elements.tabButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.ui.showTab(button.dataset.tab);
+      });
+    });
+
     this.ui.elements.filterStatus.forEach(radio => {
       radio.addEventListener('change', (e) => {
         this.handleFilterChange(e);
@@ -47,13 +79,53 @@ class EldenRingTracker {
       this.applyFilters();
     });
 
+    this.ui.elements.filterRegion.addEventListener('change', () => {
+      this.applyFilters();
+    });
+
     this.ui.elements.filterAcquisition.addEventListener('change', () => {
       this.applyFilters();
     });
 
+    this.ui.elements.filterStorage.addEventListener('change', () => {
+      this.applyFilters();
+    });
+
+    this.ui.elements.filterContent.addEventListener('change', () => {
+      this.applyFilters();
+    });
+
     this.ui.elements.searchInput.addEventListener('input', (e) => {
       this.handleSearchChange(e);
     });
+
+    this.ui.elements.exportFormat.addEventListener('change', (e) => {
+      this.handleExport(e);
+    });
+
+    this.ui.elements.btnShare.addEventListener('click', () => {
+      this.handleShare();
+    });
+
+    this.ui.elements.regionsContainer.addEventListener('click', (e) => {
+      this.handleOverrideClick(e);
+    });
+
+    this.ui.elements.collectiblesContainer.addEventListener('change', (e) => {
+      this.handlePlaceCheck(e);
+    });
+
+    this.ui.elements.statsPanel.addEventListener('click', (e) => {
+      this.handleStatsClick(e);
+    });
+
+    this.ui.elements.routePanel.addEventListener('click', (e) => {
+      this.handleRoutePin(e);
+    });
+
+    this.ui.elements.routePanel.addEventListener('change', (e) => {
+      this.handleRoutePriority(e);
+    });
   }
 
   /**
@@ -82,7 +154,8 @@ class EldenRingTracker {
       }
 
       // Populate slot selector
-      this.ui.populateSlotSelector(result.names);
+      this.slotNames = result.names;
+      this.ui.populateSlotSelector(result.names, result.characters);
 
     } catch (error) {
       this.ui.showError(error.message);
@@ -111,6 +184,7 @@ class EldenRingTracker {
     try {
       this.ui.setLoading(true, 'Analyzing inventory...');
       this.ui.hideResults();
+      this.ui.hideComparison();
 
       // Get options
       const options = {
@@ -131,6 +205,9 @@ class EldenRingTracker {
       // Update UI with results
       this.displayResults(result);
 
+      // Store snapshot and show what changed since the last upload
+      await this.recordSnapshot();
+
       // Collapse upload section after successful analysis
       const uploadSection = document.getElementById('upload-section');
       if (uploadSection) {
@@ -145,17 +222,154 @@ class EldenRingTracker {
     }
   }
 
+  /**
+   * Handle compare button click - analyze every non-empty slot
+   */
+  async handleCompare() {
+    if (!this.currentFileData) {
+      this.ui.showError('Please upload a save file first');
+      return;
+    }
+
+    const slotIndices = this.slotNames
+      .map((name, index) => name === '' ? null : index)
+      .filter(index => index !== null);
+
+    if (slotIndices.length < 2) {
+      this.ui.showError('At least two characters are needed to compare slots');
+      return;
+    }
+
+    try {
+      this.ui.setLoading(true, 'Comparing slots...');
+      this.ui.hideResults();
+      this.ui.hideComparison();
+
+      const comparison = await this.tracker.compareSlots(this.currentFileData, slotIndices, {
+        includeDLC: this.ui.elements.optionDLC.checked,
+        onProgress: (done, total, slotIndex) => {
+          this.ui.setLoading(true, `Analyzing ${this.slotNames[slotIndex]} (${done + 1}/${total})...`);
+        }
+      });
+
+      this.ui.renderComparison(comparison);
+      this.ui.showComparison();
+
+    } catch (error) {
+      this.ui.showError(error.message);
+      console.error('Error during comparison:', error);
+    } finally {
+      this.ui.setLoading(false);
+    }
+  }
+
+  /**
+   * Store the current analysis and render history for the character
+   */
+  async recordSnapshot() {
+    try {
+      const { characterName, slotIndex } = this.tracker;
+      const previous = await this.snapshots.getLatestSnapshot(characterName, slotIndex);
+
+      await this.snapshots.saveSnapshot(this.tracker.createSnapshot());
+      const history = await this.snapshots.getSnapshots(characterName, slotIndex);
+
+      const newItems = previous ? this.tracker.groupByRegion(this.tracker.findNewItems(previous)) : null;
+      this.ui.renderHistory(history, { previous, newItems });
+
+    } catch (error) {
+      console.warn('Could not store analysis snapshot:', error);
+    }
+  }
+
+  /**
+   * Show the most recent stored analysis without a save file
+   */
+  async restoreLastSession() {
+    try {
+      const snapshot = await this.snapshots.getLastSnapshot();
+      if (!snapshot) return;
+
+      const result = await this.tracker.restoreSnapshot(snapshot);
+      this.displayResults(result);
+
+      const history = await this.snapshots.getSnapshots(snapshot.characterName, snapshot.slotIndex);
+      this.ui.renderHistory(history, { restored: snapshot });
+
+    } catch (error) {
+      console.warn('Could not restore last analysis:', error);
+    }
+  }
+
+  /**
+   * Show progress from a share link (read-only, no save file)
+   */
+  async openSharedProgress() {
+    try {
+      this.ui.setLoading(true, 'Loading shared progress...');
+
+      await this.tracker.initialize();
+      const shared = await this.shareLink.parse(window.location.hash);
+      const result = await this.tracker.loadSharedProgress(shared);
+
+      this.readOnly = true;
+      this.ui.setReadOnly(shared);
+      this.displayResults(result);
+
+    } catch (error) {
+      this.ui.showError(error.message);
+      console.error('Error opening shared progress:', error);
+    } finally {
+      this.ui.setLoading(false);
+    }
+  }
+
+  /**
+   * Handle share button click - build link and copy it
+   */
+  async handleShare() {
+    if (this.tracker.enrichedItems.length === 0) return;
+
+    try {
+      const baseUrl = window.location.href.split('#')[0];
+      const url = await this.shareLink.createLink(baseUrl);
+      await this.ui.showShareLink(url);
+    } catch (error) {
+      this.ui.showError(error.message);
+    }
+  }
+
   /**
    * Display results in UI
    */
   displayResults(result) {
     // Update global stats
-    this.ui.updateGlobalStats(result.stats, result.characterName);
+    this.ui.updateGlobalStats(result.stats, result.characterName, result.character);
+    this.ui.setStorageFound(result.storageFound);
+
+    // Render collectible counters
+    this.ui.renderCollectibles(result.collectibles);
+
+    // Category filter options come from categories.json
+    this.ui.populateCategoryFilter(this.tracker.getCategoryTable());
 
     // Group items by region and render
     const groupedItems = this.tracker.groupByRegion();
+    this.ui.populateRegionFilter(Object.keys(groupedItems));
     this.ui.renderRegions(groupedItems, result.stats.regions);
 
+    // Armor set completion
+    this.ui.renderArmorSets(this.tracker.groupArmorSets(), result.stats.sets);
+
+    // NPC questlines and missable steps
+    this.renderQuestlines();
+
+    // Item-based trophies
+    this.ui.renderAchievements(this.tracker.buildAchievements(), result.stats.achievements);
+
+    // Suggest where to go next
+    this.renderRoute();
+
     // Show results section
     this.ui.showResults();
 
@@ -171,13 +385,150 @@ class EldenRingTracker {
   }
 
   /**
-   * Handle search input change
+   * Handle search input change (debounced)
    */
   handleSearchChange(event) {
     this.currentFilter.search = event.target.value;
+
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.applyFilters(), this.SEARCH_DELAY);
+  }
+
+  /**
+   * Handle manual override buttons on item cards
+   */
+  handleOverrideClick(event) {
+    const button = event.target.closest('[data-override]');
+    if (!button || this.readOnly) return;
+
+    const card = button.closest('.item-card');
+    const itemId = card.dataset.itemId;
+
+    try {
+      const items = this.tracker.setItemOverride(itemId, button.dataset.override);
+
+      // Refresh every card showing this item and the global stats
+      this.ui.updateItemCards(itemId, items[0]);
+      this.ui.updateGlobalStats(this.tracker.stats, this.tracker.characterName, this.tracker.character);
+      this.ui.renderArmorSets(this.tracker.groupArmorSets(), this.tracker.stats.sets);
+      this.renderQuestlines();
+      this.ui.renderAchievements(this.tracker.buildAchievements(), this.tracker.stats.achievements);
+      this.renderRoute();
+    } catch (error) {
+      this.ui.showError(error.message);
+    }
+  }
+
+  /**
+   * Handle a collectible place being checked or unchecked by hand
+   */
+  handlePlaceCheck(event) {
+    const checkbox = event.target.closest('[data-place-index]');
+    if (!checkbox || this.readOnly) return;
+
+    const card = checkbox.closest('.collectible-card');
+
+    try {
+      const collectible = this.tracker.setPlaceChecked(
+        card.dataset.collectibleId,
+        Number(checkbox.dataset.placeIndex),
+        checkbox.checked
+      );
+      this.ui.updateCollectibleCard(collectible);
+    } catch (error) {
+      this.ui.showError(error.message);
+    }
+  }
+
+  /**
+   * Apply the filter of a clicked Stats tab bar and show the matching items
+   * Each bar replaces the filters set by other bars; acquisition bars break
+   * down missing items, so they also select "Missing"
+   */
+  handleStatsClick(event) {
+    const bar = event.target.closest('[data-filter]');
+    if (!bar) return;
+
+    ['category', 'region', 'acquisition'].forEach(filter => this.ui.setFilterControl(filter, 'all'));
+    this.ui.setFilterControl(bar.dataset.filter, bar.dataset.value);
+    if (bar.dataset.filter === 'acquisition') {
+      this.ui.setFilterControl('status', 'missing');
+      this.currentFilter.status = 'missing';
+    }
+
+    this.ui.showTab('items');
     this.applyFilters();
   }
 
+  /**
+   * Render questlines
+   */
+  renderQuestlines() {
+    this.ui.renderQuestlines(this.tracker.buildQuestlines());
+  }
+
+  /**
+   * Render route recommendations with the saved pins and category priorities
+   */
+  renderRoute() {
+    const settings = this.routeStore.load();
+    const route = this.tracker.recommendRoute(settings);
+    const categories = this.tracker.getCategoryTable().map(category => category.name);
+
+    this.ui.renderRoute(route, categories, settings.priorities);
+  }
+
+  /**
+   * Handle pin buttons of the Route tab
+   */
+  handleRoutePin(event) {
+    const button = event.target.closest('[data-pin-region]');
+    if (!button) return;
+
+    this.routeStore.togglePin(button.dataset.pinRegion, button.dataset.pinSubregion);
+    this.renderRoute();
+  }
+
+  /**
+   * Handle category priority changes of the Route tab
+   */
+  handleRoutePriority(event) {
+    const select = event.target.closest('[data-priority]');
+    if (!select) return;
+
+    this.routeStore.setPriority(select.dataset.priority, Number(select.value));
+    this.renderRoute();
+  }
+
+  /**
+   * Copy select-based filter values from the UI into the current criteria
+   */
+  readFilterControls() {
+    this.currentFilter.category = this.ui.elements.filterCategory.value;
+    this.currentFilter.region = this.ui.elements.filterRegion.value;
+    this.currentFilter.acquisition = this.ui.elements.filterAcquisition.value;
+    this.currentFilter.storage = this.ui.elements.filterStorage.value;
+    this.currentFilter.content = this.ui.elements.filterContent.value;
+  }
+
+  /**
+   * Handle export menu selection
+   */
+  handleExport(event) {
+    const format = event.target.value;
+    event.target.value = '';
+
+    if (!format || this.tracker.enrichedItems.length === 0) return;
+
+    try {
+      this.readFilterControls();
+      const extended = format === 'csv-extended';
+      this.exporter.download(extended ? 'csv' : format, this.currentFilter, { extraColumns: extended });
+    } catch (error) {
+      this.ui.showError(error.message);
+    }
+  }
+
   /**
    * Apply current filters and re-render
    */
@@ -187,8 +538,7 @@ class EldenRingTracker {
     }
 
     // Update filter criteria from UI
-    this.currentFilter.category = this.ui.elements.filterCategory.value;
-    this.currentFilter.acquisition = this.ui.elements.filterAcquisition.value;
+    this.readFilterControls();
 
     // Filter items
     const filteredItems = this.tracker.filterItems(this.currentFilter);
@@ -209,6 +559,8 @@ class EldenRingTracker {
     const stats = {};
 
     items.forEach(item => {
+      if (item.excluded) return;
+
       if (!stats[item.region]) {
         stats[item.region] = { total: 0, owned: 0, missing: 0 };
       }
@@ -260,6 +612,13 @@ document.addEventListener('DOMContentLoaded', () => {
   // Expose app to window for debugging
   window.app = app;
 
+  // Offline support (service workers need http(s); file:// keeps working without it)
+  if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
   console.log('✅ Application ready!');
   console.log('📁 Please upload your Elden Ring save file to begin');
 });
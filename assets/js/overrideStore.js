@@ -0,0 +1,95 @@
+/**
+ * Override Store Module
+ * Persists manual per-item overrides (owned / missing / ignored) and manually
+ * checked collectible places in localStorage, one entry per character slot
+ */
+
+class OverrideStore {
+  constructor() {
+    this.KEY_PREFIX = 'er-tracker-overrides:';
+    this.PLACES_PREFIX = 'er-tracker-places:';
+    this.VALUES = ['owned', 'missing', 'ignored'];
+
+    // Fallback when localStorage is unavailable (e.g. blocked cookies)
+    this.memory = {};
+  }
+
+  /**
+   * Build the storage key for a character
+   */
+  getKey(characterName, slotIndex, prefix = this.KEY_PREFIX) {
+    return `${prefix}${characterName}#${slotIndex}`;
+  }
+
+  /**
+   * Load overrides for a character
+   * @returns {Object} - { [itemId]: 'owned' | 'missing' | 'ignored' }
+   */
+  load(characterName, slotIndex) {
+    return this.read(this.getKey(characterName, slotIndex));
+  }
+
+  /**
+   * Save overrides for a character
+   */
+  save(characterName, slotIndex, overrides) {
+    this.write(this.getKey(characterName, slotIndex), overrides);
+  }
+
+  /**
+   * Load manually checked collectible places for a character
+   * Places are stored by index: place lists repeat names (several pots in one spot)
+   * @returns {Object} - { [collectibleId]: number[] }
+   */
+  loadPlaces(characterName, slotIndex) {
+    return this.read(this.getKey(characterName, slotIndex, this.PLACES_PREFIX));
+  }
+
+  /**
+   * Save manually checked collectible places for a character
+   */
+  savePlaces(characterName, slotIndex, places) {
+    this.write(this.getKey(characterName, slotIndex, this.PLACES_PREFIX), places);
+  }
+
+  /**
+   * Read a stored object, empty when missing
+   */
+  read(key) {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      return { ...(this.memory[key] || {}) };
+    }
+  }
+
+  /**
+   * Write a stored object, removing the entry once it is empty
+   */
+  write(key, value) {
+    try {
+      if (Object.keys(value).length === 0) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, JSON.stringify(value));
+      }
+    } catch (error) {
+      this.memory[key] = { ...value };
+    }
+  }
+
+  /**
+   * Check override value validity
+   */
+  isValid(value) {
+    return this.VALUES.includes(value);
+  }
+}
+
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OverrideStore;
+} else {
+  window.OverrideStore = OverrideStore;
+}
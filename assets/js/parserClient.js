@@ -0,0 +1,153 @@
+/**
+ * Parser Client Module
+ * Async front for BinaryParser that runs save parsing in a Web Worker
+ * (parserWorker.js) so the page stays responsive on large saves.
+ *
+ * The worker receives its own copy of the save as a transferred ArrayBuffer,
+ * once per uploaded file; the page keeps the original for later requests.
+ * Falls back to parsing on the main thread when workers are unavailable
+ * (e.g. Chrome blocks them on file:// pages).
+ */
+
+class ParserClient {
+  constructor(workerUrl = 'assets/js/parserWorker.js') {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.fallback = new BinaryParser();
+
+    this.loadedFile = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+
+    // Optional progress callback: (message, fraction 0-1) => void
+    this.onProgress = null;
+
+    this.startWorker();
+  }
+
+  /**
+   * Start the worker, keeping the main-thread fallback when it can't run
+   */
+  startWorker() {
+    if (typeof Worker === 'undefined') return;
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+    } catch (error) {
+      console.warn('Parser worker unavailable, parsing on main thread:', error.message);
+      return;
+    }
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      console.warn('Parser worker failed, parsing on main thread:', event.message);
+      this.stopWorker();
+    };
+  }
+
+  /**
+   * Terminate the worker and rerun its pending requests on the main thread
+   */
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.loadedFile = null;
+
+    const pending = [...this.pending.values()];
+    this.pending.clear();
+    pending.forEach(request => {
+      try {
+        request.resolve(this.runFallback(request.method, request.fileData, request.args));
+      } catch (error) {
+        request.reject(error);
+      }
+    });
+  }
+
+  /**
+   * Route worker messages to their pending request
+   */
+  handleMessage(data) {
+    const request = this.pending.get(data.requestId);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      this.reportProgress(data.message, data.fraction);
+      return;
+    }
+
+    this.pending.delete(data.requestId);
+    if (data.type === 'result') {
+      request.resolve(data.result);
+    } else {
+      request.reject(new Error(data.error));
+    }
+  }
+
+  /**
+   * Forward progress to the optional callback
+   */
+  reportProgress(message, fraction) {
+    if (this.onProgress) {
+      this.onProgress(message, fraction);
+    }
+  }
+
+  /**
+   * Run a parser method on the main thread
+   */
+  runFallback(method, fileData, args) {
+    this.fallback.onProgress = this.onProgress;
+    return this.fallback[method](fileData, ...args);
+  }
+
+  /**
+   * Send a save file to the worker unless it already has it
+   */
+  loadFile(fileData) {
+    if (this.loadedFile === fileData) return;
+
+    // Transfer a copy so the page keeps the original bytes
+    const copy = fileData.slice(0);
+    this.worker.postMessage({ type: 'load', fileData: copy }, [copy]);
+    this.loadedFile = fileData;
+  }
+
+  /**
+   * Call a BinaryParser method that takes the save file as first argument
+   * @returns {Promise<*>} - The method's return value
+   */
+  call(method, fileData, ...args) {
+    if (!this.worker) {
+      return new Promise(resolve => resolve(this.runFallback(method, fileData, args)));
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextRequestId++;
+      this.pending.set(requestId, { method, fileData, args, resolve, reject });
+
+      this.loadFile(fileData);
+      this.worker.postMessage({ type: 'call', requestId, method, args });
+    });
+  }
+
+  /**
+   * Parse one character slot (see BinaryParser.parseInventory)
+   */
+  parseInventory(fileData, slotIndex) {
+    return this.call('parseInventory', fileData, slotIndex);
+  }
+
+  /**
+   * Read names and summaries of all slots (see BinaryParser.getSlotNames)
+   */
+  getSlotNames(fileData) {
+    return this.call('getSlotNames', fileData);
+  }
+}
+
+// Export for use in other modules
+window.ParserClient = ParserClient;
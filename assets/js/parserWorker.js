@@ -0,0 +1,38 @@
+/**
+ * Parser Worker
+ * Runs BinaryParser off the main thread (driven by ParserClient)
+ *
+ * Messages in:  { type: 'load', fileData }            - ArrayBuffer is transferred
+ *               { type: 'call', requestId, method, args }
+ * Messages out: { type: 'progress', requestId, message, fraction }
+ *               { type: 'result', requestId, result }
+ *               { type: 'error', requestId, error }
+ */
+
+importScripts('binaryParser.js');
+
+const parser = new BinaryParser();
+let fileData = null;
+
+self.onmessage = (event) => {
+  const { type, requestId, method, args } = event.data;
+
+  if (type === 'load') {
+    fileData = event.data.fileData;
+    return;
+  }
+
+  parser.onProgress = (message, fraction) => {
+    self.postMessage({ type: 'progress', requestId, message, fraction });
+  };
+
+  try {
+    if (!fileData) {
+      throw new Error('No save file loaded');
+    }
+    const result = parser[method](fileData, ...args);
+    self.postMessage({ type: 'result', requestId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, error: error.message });
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Route Store Module
+ * Persists route recommendation settings in localStorage: pinned subregions
+ * and category priorities, shared by all characters
+ */
+
+class RouteStore {
+  constructor() {
+    this.KEY = 'er-tracker-route';
+
+    // Fallback when localStorage is unavailable (e.g. blocked cookies)
+    this.memory = null;
+  }
+
+  /**
+   * Load route settings
+   * @returns {Object} - { pinned: [{ region, subregion }], priorities: { [category]: weight } }
+   */
+  load() {
+    let settings = null;
+
+    try {
+      const stored = localStorage.getItem(this.KEY);
+      settings = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      settings = this.memory;
+    }
+
+    return {
+      pinned: settings && Array.isArray(settings.pinned) ? [...settings.pinned] : [],
+      priorities: settings && settings.priorities ? { ...settings.priorities } : {}
+    };
+  }
+
+  /**
+   * Save route settings
+   */
+  save(settings) {
+    try {
+      localStorage.setItem(this.KEY, JSON.stringify(settings));
+    } catch (error) {
+      this.memory = { pinned: [...settings.pinned], priorities: { ...settings.priorities } };
+    }
+  }
+
+  /**
+   * Pin a subregion, or unpin it when already pinned
+   * @returns {Object} - Updated settings
+   */
+  togglePin(region, subregion) {
+    const settings = this.load();
+    const index = settings.pinned.findIndex(pin => pin.region === region && pin.subregion === subregion);
+
+    if (index === -1) {
+      settings.pinned.push({ region, subregion });
+    } else {
+      settings.pinned.splice(index, 1);
+    }
+
+    this.save(settings);
+    return settings;
+  }
+
+  /**
+   * Set the priority weight of a category (1 is the default and is not stored)
+   * @returns {Object} - Updated settings
+   */
+  setPriority(category, weight) {
+    const settings = this.load();
+
+    if (weight === 1) {
+      delete settings.priorities[category];
+    } else {
+      settings.priorities[category] = weight;
+    }
+
+    this.save(settings);
+    return settings;
+  }
+}
+
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RouteStore;
+} else {
+  window.RouteStore = RouteStore;
+}
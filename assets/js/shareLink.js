@@ -0,0 +1,141 @@
+/**
+ * Share Link Module
+ * Encodes the owned item set as a compressed bitset in the URL hash so
+ * progress can be viewed read-only without the save file
+ *
+ * Hash format: #share=<base64url bitset>&v=<data version>&dlc=<0|1>&z=<0|1>&name=<character>
+ * Bit i is set when the i-th catalogue ID (TrackerCore.getCatalogIds order) is owned.
+ */
+
+class ShareLink {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.HASH_KEY = 'share';
+  }
+
+  /**
+   * Check whether a URL hash carries shared progress
+   */
+  hasSharedProgress(hash) {
+    return new URLSearchParams(hash.replace(/^#/, '')).has(this.HASH_KEY);
+  }
+
+  /**
+   * Short fingerprint of the catalogue ID order (FNV-1a, 32-bit)
+   * Links only decode correctly against the same data files
+   */
+  computeDataVersion(ids) {
+    let hash = 0x811c9dc5;
+    const text = ids.join(',');
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Build a share link for the current analysis
+   * @param {string} baseUrl - Page URL without hash
+   * @returns {Promise<string>}
+   */
+  async createLink(baseUrl) {
+    const { includeDLC, characterName } = this.tracker;
+    const ids = this.tracker.getCatalogIds(includeDLC);
+    const ownedIds = new Set(this.tracker.enrichedItems.filter(item => item.owned).map(item => item.id));
+
+    // Pack ownership bits, most significant bit first
+    const bits = new Uint8Array(Math.ceil(ids.length / 8));
+    ids.forEach((id, index) => {
+      if (ownedIds.has(id)) {
+        bits[index >> 3] |= 0x80 >> (index & 7);
+      }
+    });
+
+    const compressed = await this.compress(bits);
+    const params = new URLSearchParams({
+      [this.HASH_KEY]: this.toBase64Url(compressed || bits),
+      v: this.computeDataVersion(ids),
+      dlc: includeDLC ? '1' : '0',
+      z: compressed ? '1' : '0',
+      name: characterName || ''
+    });
+
+    return `${baseUrl}#${params.toString()}`;
+  }
+
+  /**
+   * Decode shared progress from a URL hash
+   * Location data must be loaded (see TrackerCore.initialize)
+   * @returns {Promise<Object>} - { characterName, includeDLC, dataVersion, ownedIds }
+   */
+  async parse(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const includeDLC = params.get('dlc') !== '0';
+    const ids = this.tracker.getCatalogIds(includeDLC);
+    const dataVersion = this.computeDataVersion(ids);
+
+    if (params.get('v') !== dataVersion) {
+      throw new Error('This share link was created with a different version of the item data');
+    }
+
+    let bits = this.fromBase64Url(params.get(this.HASH_KEY) || '');
+    if (params.get('z') === '1') {
+      bits = await this.decompress(bits);
+    }
+
+    const ownedIds = ids.filter((id, index) => (bits[index >> 3] & (0x80 >> (index & 7))) !== 0);
+
+    return {
+      characterName: params.get('name') || 'Shared Character',
+      includeDLC,
+      dataVersion,
+      ownedIds
+    };
+  }
+
+  /**
+   * Deflate bytes when the browser supports CompressionStream
+   * @returns {Promise<Uint8Array|null>} - null when unsupported
+   */
+  async compress(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Inflate bytes produced by compress()
+   */
+  async decompress(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot open compressed share links');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Encode bytes as URL-safe base64 without padding
+   */
+  toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode URL-safe base64
+   */
+  fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+}
+
+// Export for use in other modules
+window.ShareLink = ShareLink;
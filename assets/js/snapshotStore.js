@@ -0,0 +1,124 @@
+/**
+ * Snapshot Store Module
+ * Persists analysis snapshots in IndexedDB so progress can be compared
+ * between save uploads and the last results reopened without the save file
+ */
+
+class SnapshotStore {
+  constructor() {
+    this.DB_NAME = 'best-elden-ring-tracker';
+    this.DB_VERSION = 1;
+    this.STORE_NAME = 'snapshots';
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check IndexedDB availability (missing in some private browsing modes)
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and upgrade) the database
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!this.isAvailable()) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('character', 'characterKey', { unique: false });
+        store.createIndex('timestamp', 'timestamp', { unique: false });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      this.dbPromise = null;
+      throw error;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Build the key snapshots are grouped by
+   */
+  getCharacterKey(characterName, slotIndex) {
+    return `${characterName}#${slotIndex}`;
+  }
+
+  /**
+   * Store a snapshot
+   * @param {Object} snapshot - From TrackerCore.createSnapshot()
+   * @returns {Promise<number>} - Generated snapshot ID
+   */
+  async saveSnapshot(snapshot) {
+    const db = await this.open();
+    const store = db.transaction(this.STORE_NAME, 'readwrite').objectStore(this.STORE_NAME);
+
+    return this.promisify(store.add({
+      ...snapshot,
+      characterKey: this.getCharacterKey(snapshot.characterName, snapshot.slotIndex)
+    }));
+  }
+
+  /**
+   * Get all snapshots of a character, oldest first
+   */
+  async getSnapshots(characterName, slotIndex) {
+    const db = await this.open();
+    const index = db.transaction(this.STORE_NAME, 'readonly')
+      .objectStore(this.STORE_NAME)
+      .index('character');
+
+    const snapshots = await this.promisify(index.getAll(this.getCharacterKey(characterName, slotIndex)));
+    return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Get the most recent snapshot of a character
+   */
+  async getLatestSnapshot(characterName, slotIndex) {
+    const snapshots = await this.getSnapshots(characterName, slotIndex);
+    return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+  }
+
+  /**
+   * Get the most recent snapshot of any character
+   */
+  async getLastSnapshot() {
+    const db = await this.open();
+    const index = db.transaction(this.STORE_NAME, 'readonly')
+      .objectStore(this.STORE_NAME)
+      .index('timestamp');
+
+    const cursor = await this.promisify(index.openCursor(null, 'prev'));
+    return cursor ? cursor.value : null;
+  }
+}
+
+// Export for use in other modules
+window.SnapshotStore = SnapshotStore;
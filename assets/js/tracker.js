@@ -5,13 +5,38 @@
  */
 
 class TrackerCore {
-  constructor() {
-    this.dataLoader = new window.DataLoader();
-    this.parser = new window.BinaryParser();
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - Progress logger with log() and warn(), console by default
+   */
+  constructor(options = {}) {
+    const { logger = console } = options;
+
+    // Browser scripts attach modules to window; in Node they are required
+    const modules = typeof window !== 'undefined' ? window : TrackerCore.requireModules();
+
+    this.logger = logger;
+    this.dataLoader = new modules.DataLoader({ logger });
+    this.parser = new modules.BinaryParser();
+    this.overrideStore = new modules.OverrideStore();
+
+    // Save file parsing may be delegated to a ParserClient (Web Worker);
+    // methods used through it return promises and are awaited either way
+    this.saveParser = this.parser;
 
     this.inventoryIds = [];
+    this.inventoryRecords = [];
+    this.storageIds = [];
+    this.storageFound = null;
+    this.itemQuantities = {};
     this.enrichedItems = [];
+    this.collectibles = [];
+    this.overrides = {};
+    this.placeChecks = {};
     this.characterName = '';
+    this.character = null;
+    this.slotIndex = null;
+    this.includeDLC = true;
     this.isDlc = false;
 
     this.stats = {
@@ -21,6 +46,27 @@ class TrackerCore {
       percentage: 0,
       categories: {}
     };
+
+    // Weapon IDs are base ID (multiple of 10000) + affinity * 100 + upgrade level
+    this.WEAPON_AFFINITIES = [
+      'Standard', 'Heavy', 'Keen', 'Quality', 'Fire', 'Flame Art', 'Lightning',
+      'Sacred', 'Magic', 'Cold', 'Poison', 'Blood', 'Occult'
+    ];
+
+    // Category table compiled from categories.json (see getCategoryTable)
+    this.categoryTable = null;
+    this.categorySource = null;
+  }
+
+  /**
+   * Load dependencies when running under Node
+   */
+  static requireModules() {
+    return {
+      DataLoader: require('./dataLoader.js'),
+      BinaryParser: require('./binaryParser.js'),
+      OverrideStore: require('./overrideStore.js')
+    };
   }
 
   /**
@@ -29,7 +75,7 @@ class TrackerCore {
   async initialize(options = {}) {
     const { includeDLC = true } = options;
     await this.dataLoader.loadAll({ includeDLC });
-    console.log('Tracker initialized');
+    this.logger.log('Tracker initialized');
   }
 
   /**
@@ -39,67 +85,223 @@ class TrackerCore {
     const { includeDLC = true } = options;
 
     // Step 1: Parse inventory from save file
-    console.log('Parsing save file...');
-    const parseResult = this.parser.parseInventory(fileData, slotIndex);
+    this.logger.log('Parsing save file...');
+    const parseResult = await this.saveParser.parseInventory(fileData, slotIndex);
 
     if (!parseResult.success) {
       throw new Error(parseResult.error);
     }
 
     this.inventoryIds = parseResult.ids;
+    this.inventoryRecords = parseResult.records || [];
+    this.storageIds = parseResult.storageIds || [];
+    this.storageFound = parseResult.storageFound !== false;
+    this.itemQuantities = this.mergeQuantities(parseResult.quantities, parseResult.storageQuantities);
     this.characterName = parseResult.characterName;
+    this.character = parseResult.character || null;
+    this.slotIndex = slotIndex;
+    this.includeDLC = includeDLC;
     this.isDlc = parseResult.isDlc;
 
-    console.log(`Found ${this.inventoryIds.length} items for character: ${this.characterName}`);
-    console.log(`Save file format: ${this.isDlc ? 'DLC' : 'Normal'}`);
+    this.logger.log(`Found ${this.inventoryIds.length} items for character: ${this.characterName}`);
+    this.logger.log(this.storageFound
+      ? `Found ${this.storageIds.length} items in storage chest`
+      : 'Storage chest not found');
+    this.logger.log(`Save file format: ${this.isDlc ? 'DLC' : 'Normal'}`);
 
-    // Step 2: Load location data if not loaded
-    if (!this.dataLoader.cache.locationData) {
-      await this.initialize({ includeDLC });
-    }
+    // Step 2: Load data (reloaded when the data version changed since the last analysis)
+    await this.initialize({ includeDLC });
 
     // Step 3: Cross-reference inventory with location data
-    console.log('Cross-referencing with location data...');
+    this.logger.log('Cross-referencing with location data...');
     this.enrichedItems = this.crossReference(includeDLC);
+    this.placeChecks = this.overrideStore.loadPlaces(this.characterName, slotIndex);
+    this.collectibles = this.buildCollectibles();
+
+    // Step 3a: Apply manual overrides saved for this character
+    this.overrides = this.overrideStore.load(this.characterName, slotIndex);
+    this.applyOverrides();
+
+    // Step 3b: Resolve missable items against the milestones
+    this.applyMilestones();
 
     // Step 4: Calculate statistics
     this.calculateStats();
 
-    console.log(`Processed ${this.enrichedItems.length} total items`);
-    console.log(`Owned: ${this.stats.owned}, Missing: ${this.stats.missing}`);
-    console.log(`Completion: ${this.stats.percentage}%`);
+    this.logger.log(`Processed ${this.enrichedItems.length} total items`);
+    this.logger.log(`Owned: ${this.stats.owned}, Missing: ${this.stats.missing}`);
+    this.logger.log(`Completion: ${this.stats.percentage}%`);
 
+    return this.getResult();
+  }
+
+  /**
+   * Build the result object returned after an analysis
+   */
+  getResult() {
     return {
       success: true,
       items: this.enrichedItems,
       stats: this.stats,
-      characterName: this.characterName
+      collectibles: this.collectibles,
+      storageFound: this.storageFound,
+      characterName: this.characterName,
+      character: this.character
+    };
+  }
+
+  /**
+   * Capture the current analysis so it can be stored and restored later
+   */
+  createSnapshot() {
+    return {
+      timestamp: Date.now(),
+      characterName: this.characterName,
+      slotIndex: this.slotIndex,
+      includeDLC: this.includeDLC,
+      isDlc: this.isDlc,
+      character: this.character,
+      inventoryIds: this.inventoryIds,
+      storageIds: this.storageIds,
+      storageFound: this.storageFound,
+      itemQuantities: this.itemQuantities,
+      ownedIds: [...new Set(this.enrichedItems.filter(item => item.owned).map(item => item.id))],
+      stats: {
+        total: this.stats.total,
+        owned: this.stats.owned,
+        percentage: this.stats.percentage
+      }
     };
   }
 
+  /**
+   * Rebuild the analysis from a stored snapshot (no save file needed)
+   */
+  async restoreSnapshot(snapshot) {
+    const includeDLC = snapshot.includeDLC !== false;
+
+    this.inventoryIds = snapshot.inventoryIds || [];
+    this.inventoryRecords = [];
+    this.storageIds = snapshot.storageIds || [];
+    this.storageFound = snapshot.storageFound !== false;
+    this.itemQuantities = snapshot.itemQuantities || {};
+    this.characterName = snapshot.characterName;
+    this.character = snapshot.character || null;
+    this.slotIndex = snapshot.slotIndex;
+    this.includeDLC = includeDLC;
+    this.isDlc = snapshot.isDlc || false;
+
+    await this.initialize({ includeDLC });
+
+    this.enrichedItems = this.crossReference(includeDLC);
+    this.placeChecks = this.overrideStore.loadPlaces(this.characterName, this.slotIndex);
+    this.collectibles = this.buildCollectibles();
+    this.overrides = this.overrideStore.load(this.characterName, this.slotIndex);
+    this.applyOverrides();
+    this.applyMilestones();
+    this.calculateStats();
+
+    return this.getResult();
+  }
+
+  /**
+   * Rebuild the analysis from shared progress (see ShareLink)
+   * Overrides are not applied: shared results are shown as sent
+   */
+  async loadSharedProgress(shared) {
+    this.inventoryIds = shared.ownedIds;
+    this.inventoryRecords = [];
+    this.storageIds = [];
+    this.storageFound = null;
+    this.itemQuantities = {};
+    this.characterName = shared.characterName;
+    this.character = null;
+    this.slotIndex = null;
+    this.includeDLC = shared.includeDLC;
+    this.isDlc = false;
+
+    this.enrichedItems = this.crossReference(shared.includeDLC);
+    this.collectibles = [];
+    this.overrides = {};
+    this.placeChecks = {};
+    this.applyOverrides();
+    this.applyMilestones();
+    this.calculateStats();
+
+    return this.getResult();
+  }
+
+  /**
+   * Get every catalogue item ID once, in data file order
+   */
+  getCatalogIds(includeDLC) {
+    const locationData = this.dataLoader.getMergedData(includeDLC);
+    const ids = new Set();
+
+    for (const subregions of Object.values(locationData)) {
+      for (const items of Object.values(subregions)) {
+        Object.keys(items).forEach(itemId => ids.add(itemId));
+      }
+    }
+
+    return [...ids];
+  }
+
+  /**
+   * List items owned now that were not owned in a previous snapshot
+   */
+  findNewItems(previousSnapshot) {
+    const previouslyOwned = new Set(previousSnapshot.ownedIds || []);
+    return this.enrichedItems.filter(item => item.owned && !previouslyOwned.has(item.id));
+  }
+
   /**
    * Cross-reference inventory IDs with location data
    */
   crossReference(includeDLC) {
     const locationData = this.dataLoader.getMergedData(includeDLC);
     const enrichedItems = [];
-    const ownedIdSet = new Set(this.inventoryIds);
+
+    // Upgraded and infused copies count as the catalogued base item
+    const catalogIds = new Set(Object.values(locationData).flatMap(subregions =>
+      Object.values(subregions).flatMap(items => Object.keys(items))
+    ));
+    const heldVariants = this.resolveVariants(this.inventoryIds, catalogIds);
+    const storedVariants = this.resolveVariants(this.storageIds, catalogIds);
 
     // Iterate through all regions and items
     for (const [region, subregions] of Object.entries(locationData)) {
       for (const [subregion, items] of Object.entries(subregions)) {
         for (const [itemId, itemData] of Object.entries(items)) {
-          const isOwned = ownedIdSet.has(itemId);
+          const ownership = this.determineOwnership(heldVariants.has(itemId), storedVariants.has(itemId));
+          const isOwned = ownership !== null;
+          const variants = this.collectVariants(heldVariants.get(itemId), storedVariants.get(itemId));
+          const { category, subcategory } = this.classifyItem(itemId);
 
           enrichedItems.push({
             id: itemId,
             name: itemData.name,
             owned: isOwned,
+            detectedOwned: isOwned,
+            override: null,
+            excluded: false,
+            ownership: ownership,
+            detectedOwnership: ownership,
+            quantity: variants.reduce((sum, variant) => sum + (this.itemQuantities[variant.id] || 0), 0),
+            upgrade: variants.length > 0 ? variants[0].upgrade : null,
+            affinity: variants.length > 0 ? variants[0].affinity : null,
+            altered: variants.length > 0 && variants.every(variant => variant.altered),
+            variants: variants,
             region: region,
             subregion: subregion,
+            category: category,
+            subcategory: subcategory,
             type: itemData.type || 'unknown',
             hint: itemData.hint || '',
             farmable: itemData.multiple || false,
+            missableAfter: itemData.missableAfter || null,
+            missable: null,
+            content: itemData.content,
             wikiUrl: this.generateWikiUrl(itemData.name)
           });
         }
@@ -109,6 +311,266 @@ class TrackerCore {
     return enrichedItems;
   }
 
+  /**
+   * Map an inventory ID to its catalogue ID, decoding upgrade level and affinity
+   * Weapons and spirit ashes encode both on top of the base ID; altered armor
+   * is the same piece of the next set ID (+1000) and counts as the base piece
+   * unless catalogued itself. Ashes of War have catalogue IDs of their own
+   * @param {string} itemId - Inventory hex ID
+   * @param {Set<string>} catalogIds - Catalogue hex IDs
+   * @returns {Object|null} - { id, catalogId, upgrade, affinity, altered } or null when not catalogued
+   */
+  normalizeItemId(itemId, catalogIds) {
+    const id = parseInt(itemId, 16);
+    const paramId = id & 0x0FFFFFFF;
+    const kind = id >>> 28;
+
+    if (kind === 0x0) {
+      const offset = paramId % 10000;
+      const baseId = this.toHexId(id - offset);
+      if (catalogIds.has(baseId)) {
+        return {
+          id: itemId,
+          catalogId: baseId,
+          upgrade: offset % 100,
+          affinity: this.WEAPON_AFFINITIES[Math.floor(offset / 100)] || null,
+          altered: false
+        };
+      }
+    }
+
+    if (kind === 0x1 && !catalogIds.has(itemId)) {
+      const baseId = this.toHexId(id - 1000);
+      if (catalogIds.has(baseId)) {
+        return { id: itemId, catalogId: baseId, upgrade: null, affinity: null, altered: true };
+      }
+    }
+
+    // Spirit ash IDs are base ID (multiple of 100) + upgrade level
+    if (kind === 0x4 && !catalogIds.has(itemId) && this.determineCategory(itemId) === 'Spirit Ashes') {
+      const level = paramId % 100;
+      const baseId = this.toHexId(id - level);
+      if (catalogIds.has(baseId)) {
+        return { id: itemId, catalogId: baseId, upgrade: level, affinity: null, altered: false };
+      }
+    }
+
+    return catalogIds.has(itemId)
+      ? { id: itemId, catalogId: itemId, upgrade: null, affinity: null, altered: false }
+      : null;
+  }
+
+  /**
+   * Group inventory IDs by the catalogue ID they count as
+   * @returns {Map<string, Object[]>} - catalogue ID -> variants from normalizeItemId
+   */
+  resolveVariants(itemIds, catalogIds) {
+    const variants = new Map();
+
+    new Set(itemIds).forEach(itemId => {
+      const variant = this.normalizeItemId(itemId, catalogIds);
+      if (!variant) return;
+
+      if (!variants.has(variant.catalogId)) {
+        variants.set(variant.catalogId, []);
+      }
+      variants.get(variant.catalogId).push(variant);
+    });
+
+    return variants;
+  }
+
+  /**
+   * Merge held and stored variants of an item, highest upgrade first
+   */
+  collectVariants(held = [], stored = []) {
+    const byId = new Map();
+    [...held, ...stored].forEach(variant => byId.set(variant.id, variant));
+
+    return [...byId.values()].sort((a, b) => (b.upgrade || 0) - (a.upgrade || 0));
+  }
+
+  /**
+   * Format a numeric ID as 8-digit uppercase hex
+   */
+  toHexId(id) {
+    return (id >>> 0).toString(16).toUpperCase().padStart(8, '0');
+  }
+
+  /**
+   * Apply manual overrides on top of what was detected in the save
+   * 'owned' / 'missing' force the status, 'ignored' excludes the item from totals.
+   * Items owned only through an override get the ownership 'manual'
+   */
+  applyOverrides() {
+    this.enrichedItems.forEach(item => {
+      const override = this.overrides[item.id] || null;
+
+      item.override = override;
+      item.excluded = override === 'ignored';
+      if (override === 'owned') {
+        item.owned = true;
+        item.ownership = item.detectedOwnership || 'manual';
+      } else if (override === 'missing') {
+        item.owned = false;
+        item.ownership = null;
+      } else {
+        item.owned = item.detectedOwned;
+        item.ownership = item.detectedOwnership;
+      }
+    });
+  }
+
+  /**
+   * Resolve the missableAfter data of items against the milestones
+   */
+  applyMilestones() {
+    const milestones = this.getMilestones();
+
+    this.enrichedItems.forEach(item => {
+      item.missable = item.missableAfter ? this.resolveMissable(item.missableAfter, milestones) : null;
+    });
+  }
+
+  /**
+   * Resolve missableAfter data against the milestones: what locks it out and how soon
+   * (milestone position in game order; losses only described by a note come last).
+   * Items name a `milestone` ID, quest steps the `boss` whose defeat locks them out.
+   * Whether the lockout already happened is not read from the save
+   * @returns {Object} - { milestone, note, order }
+   */
+  resolveMissable(missableAfter, milestones) {
+    const milestone = milestones.find(entry => missableAfter.milestone !== undefined
+      ? entry.id === missableAfter.milestone
+      : missableAfter.boss !== undefined && entry.boss === missableAfter.boss) || null;
+
+    return {
+      milestone: milestone ? milestone.name : null,
+      note: missableAfter.note || '',
+      order: milestone ? milestone.order : milestones.length
+    };
+  }
+
+  /**
+   * Set or clear the manual override of an item and recalculate statistics
+   * Setting the value an item already has clears it
+   * @param {string} itemId - Item hex ID
+   * @param {string|null} value - 'owned', 'missing', 'ignored' or null
+   * @returns {Object[]} - Enriched items affected by the change
+   */
+  setItemOverride(itemId, value) {
+    if (value === null || this.overrides[itemId] === value) {
+      delete this.overrides[itemId];
+    } else if (this.overrideStore.isValid(value)) {
+      this.overrides[itemId] = value;
+    } else {
+      throw new Error(`Unknown override: ${value}`);
+    }
+
+    this.overrideStore.save(this.characterName, this.slotIndex, this.overrides);
+    this.applyOverrides();
+    this.calculateStats();
+
+    return this.enrichedItems.filter(item => item.id === itemId);
+  }
+
+  /**
+   * Check or uncheck a collectible place by hand
+   * The save only holds how many were picked up, not where
+   * @param {string} collectibleId - Collectible hex ID
+   * @param {number} index - Position in the collectible's place list
+   * @param {boolean} checked
+   * @returns {Object} - Rebuilt collectible
+   */
+  setPlaceChecked(collectibleId, index, checked) {
+    const indices = new Set(this.placeChecks[collectibleId] || []);
+    if (checked) {
+      indices.add(index);
+    } else {
+      indices.delete(index);
+    }
+
+    if (indices.size === 0) {
+      delete this.placeChecks[collectibleId];
+    } else {
+      this.placeChecks[collectibleId] = [...indices].sort((a, b) => a - b);
+    }
+
+    this.overrideStore.savePlaces(this.characterName, this.slotIndex, this.placeChecks);
+    this.collectibles = this.buildCollectibles();
+
+    return this.collectibles.find(collectible => collectible.id === collectibleId);
+  }
+
+  /**
+   * Determine where an owned item is kept
+   * @returns {string|null} - 'held', 'stored', 'both' or null when not owned
+   */
+  determineOwnership(isHeld, isStored) {
+    if (isHeld && isStored) return 'both';
+    if (isHeld) return 'held';
+    if (isStored) return 'stored';
+    return null;
+  }
+
+  /**
+   * Combine carried and storage chest stack sizes
+   */
+  mergeQuantities(held = {}, stored = {}) {
+    const merged = { ...held };
+    for (const [id, quantity] of Object.entries(stored)) {
+      merged[id] = (merged[id] || 0) + quantity;
+    }
+    return merged;
+  }
+
+  /**
+   * Build quantity-based collectible progress (Memory Stones, pots, etc.)
+   * Held count comes from the inventory stack size; places are only checked by hand
+   * (see setPlaceChecked), as the save does not record where each one was picked up
+   */
+  buildCollectibles() {
+    const collectibles = this.dataLoader.cache.collectibles || [];
+
+    return collectibles.map(collectible => {
+      // collectibles.json stores the low 3 bytes little-endian; 0x40 is the goods prefix
+      const id = this.parser.convertIdToHex([...collectible.id, 0x40]);
+      const total = collectible.places.length;
+      const held = this.itemQuantities[id] || 0;
+      const checked = new Set(this.placeChecks[id] || []);
+
+      return {
+        id: id,
+        name: collectible.name,
+        held: held,
+        total: total,
+        percentage: total > 0 ? Math.round((Math.min(held, total) / total) * 100) : 0,
+        places: collectible.places.map((place, index) => ({
+          name: place,
+          checked: checked.has(index)
+        }))
+      };
+    });
+  }
+
+  /**
+   * List the point-of-no-return milestones in game order
+   * @returns {Object[]} - [{ id, name, boss, order }]
+   */
+  getMilestones() {
+    const source = this.dataLoader.cache.milestones;
+    if (!source) {
+      throw new Error('Milestone data not loaded yet');
+    }
+
+    return source.milestones.map((milestone, order) => ({
+      id: milestone.id,
+      name: milestone.name,
+      boss: milestone.boss,
+      order
+    }));
+  }
+
   /**
    * Generate Wiki URL from item name
    */
@@ -122,8 +584,9 @@ class TrackerCore {
    * Calculate statistics
    */
   calculateStats() {
-    const total = this.enrichedItems.length;
-    const owned = this.enrichedItems.filter(item => item.owned).length;
+    const counted = this.enrichedItems.filter(item => !item.excluded);
+    const total = counted.length;
+    const owned = counted.filter(item => item.owned).length;
     const missing = total - owned;
     const percentage = total > 0 ? Math.round((owned / total) * 100) : 0;
 
@@ -132,39 +595,89 @@ class TrackerCore {
       owned,
       missing,
       percentage,
+      ignored: this.enrichedItems.length - total,
       categories: this.calculateCategoryStats(),
-      regions: this.calculateRegionalStats()
+      regions: this.calculateRegionalStats(),
+      content: this.calculateContentStats(),
+      acquisition: this.calculateAcquisitionStats(),
+      sets: this.calculateSetStats(),
+      achievements: this.calculateAchievementStats()
     };
   }
 
   /**
-   * Calculate category breakdown
+   * Calculate base game and Shadow of the Erdtree completion
+   * @returns {Object} - { base, dlc } with total, owned, missing and percentage
    */
-  calculateCategoryStats() {
-    const categories = {};
+  calculateContentStats() {
+    const content = {
+      base: { total: 0, owned: 0, missing: 0 },
+      dlc: { total: 0, owned: 0, missing: 0 }
+    };
 
     this.enrichedItems.forEach(item => {
-      const category = this.determineCategory(item.id);
+      if (item.excluded) return;
 
-      if (!categories[category]) {
-        categories[category] = { total: 0, owned: 0, missing: 0 };
-      }
-
-      categories[category].total++;
+      const stats = content[item.content];
+      stats.total++;
       if (item.owned) {
-        categories[category].owned++;
+        stats.owned++;
       } else {
-        categories[category].missing++;
+        stats.missing++;
       }
     });
 
     // Calculate percentages
-    for (const [category, stats] of Object.entries(categories)) {
+    for (const stats of Object.values(content)) {
       stats.percentage = stats.total > 0
         ? Math.round((stats.owned / stats.total) * 100)
         : 0;
     }
 
+    return content;
+  }
+
+  /**
+   * Calculate category breakdown
+   */
+  calculateCategoryStats() {
+    const categories = {};
+
+    this.enrichedItems.forEach(item => {
+      if (item.excluded) return;
+
+      if (!categories[item.category]) {
+        categories[item.category] = { total: 0, owned: 0, missing: 0, subcategories: {} };
+      }
+
+      const counters = [categories[item.category]];
+      if (item.subcategory) {
+        const subcategories = categories[item.category].subcategories;
+        if (!subcategories[item.subcategory]) {
+          subcategories[item.subcategory] = { total: 0, owned: 0, missing: 0 };
+        }
+        counters.push(subcategories[item.subcategory]);
+      }
+
+      counters.forEach(stats => {
+        stats.total++;
+        if (item.owned) {
+          stats.owned++;
+        } else {
+          stats.missing++;
+        }
+      });
+    });
+
+    // Calculate percentages
+    for (const stats of Object.values(categories)) {
+      [stats, ...Object.values(stats.subcategories)].forEach(entry => {
+        entry.percentage = entry.total > 0
+          ? Math.round((entry.owned / entry.total) * 100)
+          : 0;
+      });
+    }
+
     return categories;
   }
 
@@ -175,6 +688,8 @@ class TrackerCore {
     const regions = {};
 
     this.enrichedItems.forEach(item => {
+      if (item.excluded) return;
+
       if (!regions[item.region]) {
         regions[item.region] = { total: 0, owned: 0, missing: 0 };
       }
@@ -198,24 +713,253 @@ class TrackerCore {
   }
 
   /**
-   * Determine item category from ID
+   * Calculate completion by acquisition type (boss, foe, chest, merchant...)
    */
-  determineCategory(itemId) {
+  calculateAcquisitionStats() {
+    const types = {};
+
+    this.enrichedItems.forEach(item => {
+      if (item.excluded) return;
+
+      if (!types[item.type]) {
+        types[item.type] = { total: 0, owned: 0, missing: 0 };
+      }
+
+      types[item.type].total++;
+      if (item.owned) {
+        types[item.type].owned++;
+      } else {
+        types[item.type].missing++;
+      }
+    });
+
+    // Calculate percentages
+    for (const stats of Object.values(types)) {
+      stats.percentage = stats.total > 0
+        ? Math.round((stats.owned / stats.total) * 100)
+        : 0;
+    }
+
+    return types;
+  }
+
+  /**
+   * Calculate armor set completion
+   * @returns {Object} - { total, complete, percentage }
+   */
+  calculateSetStats() {
+    const sets = this.groupArmorSets();
+    const complete = sets.filter(set => set.complete).length;
+
+    return {
+      total: sets.length,
+      complete,
+      percentage: sets.length > 0 ? Math.round((complete / sets.length) * 100) : 0
+    };
+  }
+
+  /**
+   * Calculate trophy progress
+   * @returns {Object} - { total, complete, owned, required, percentage } (percentage of required items owned)
+   */
+  calculateAchievementStats() {
+    const achievements = this.buildAchievements();
+    const owned = achievements.reduce((sum, achievement) => sum + achievement.owned, 0);
+    const required = achievements.reduce((sum, achievement) => sum + achievement.required, 0);
+
+    return {
+      total: achievements.length,
+      complete: achievements.filter(achievement => achievement.complete).length,
+      owned,
+      required,
+      percentage: required > 0 ? Math.round((owned / required) * 100) : 0
+    };
+  }
+
+  /**
+   * Build trophy progress from achievements.json: a trophy requires owning all of its items,
+   * listed with every place they can be found
+   * @returns {Object[]} - [{ name, description, pieces, owned, required, complete }],
+   *                       each piece { id, name, owned, missable, places: [{ region, subregion }] }
+   */
+  buildAchievements() {
+    const source = this.dataLoader.cache.achievements;
+    if (!source) {
+      throw new Error('Achievement data not loaded yet');
+    }
+
+    // Every copy of an item, one per place it is listed
+    const copiesById = new Map();
+    this.enrichedItems.forEach(item => {
+      if (!copiesById.has(item.id)) copiesById.set(item.id, []);
+      copiesById.get(item.id).push(item);
+    });
+
+    return source.achievements.map(achievement => {
+      const pieces = achievement.items
+        .filter(id => copiesById.has(id))
+        .map(id => {
+          const copies = copiesById.get(id);
+          return {
+            id,
+            name: copies[0].name,
+            owned: copies[0].owned,
+            missable: copies[0].missable,
+            places: copies.map(copy => ({ region: copy.region, subregion: copy.subregion }))
+          };
+        });
+      const owned = pieces.filter(piece => piece.owned).length;
+
+      return {
+        name: achievement.name,
+        description: achievement.description,
+        pieces,
+        owned,
+        required: pieces.length,
+        complete: pieces.length > 0 && owned === pieces.length
+      };
+    });
+  }
+
+  /**
+   * Group armor pieces into sets: pieces of a set share the set ID (param ID / 1000)
+   * and differ by slot (the Armor subcategories of categories.json).
+   * Single pieces are not sets; ignored pieces are not required to complete one
+   * @returns {Object[]} - [{ id, name, slots, pieces: { [slot]: piece }, owned, required, complete }],
+   *                       each piece { id, name, owned, excluded, altered, places: [{ region, subregion }] }
+   */
+  groupArmorSets() {
+    const armor = this.getCategoryTable().find(category => category.name === 'Armor');
+    const slots = armor ? armor.subcategories.map(subcategory => subcategory.name) : [];
+    const sets = new Map();
+
+    this.enrichedItems.forEach(item => {
+      if (item.category !== 'Armor' || !item.subcategory) return;
+
+      const setId = Math.floor((parseInt(item.id, 16) & 0x0FFFFFFF) / 1000);
+      if (!sets.has(setId)) {
+        sets.set(setId, {});
+      }
+
+      // Farmable pieces are listed once per place
+      const pieces = sets.get(setId);
+      if (!pieces[item.subcategory]) {
+        pieces[item.subcategory] = {
+          id: item.id,
+          name: item.name,
+          owned: item.owned,
+          excluded: item.excluded,
+          altered: item.altered,
+          places: []
+        };
+      }
+      pieces[item.subcategory].places.push({ region: item.region, subregion: item.subregion });
+    });
+
+    return [...sets.entries()]
+      .filter(([, pieces]) => Object.keys(pieces).length > 1)
+      .sort(([a], [b]) => a - b)
+      .map(([setId, pieces]) => {
+        const ordered = slots.map(slot => pieces[slot]).filter(Boolean);
+        const required = ordered.filter(piece => !piece.excluded);
+        const owned = required.filter(piece => piece.owned).length;
+
+        return {
+          id: setId,
+          name: this.deriveSetName(ordered.map(piece => piece.name)),
+          slots,
+          pieces,
+          owned,
+          required: required.length,
+          complete: required.length > 0 && owned === required.length
+        };
+      });
+  }
+
+  /**
+   * Name an armor set after the words most of its pieces start with
+   * ("Alberich's Pointed Hat", "Alberich's Robe"... -> "Alberich's Set"),
+   * or after its first piece when no two pieces share a first word
+   */
+  deriveSetName(names) {
+    const words = names.map(name => name.split(' '));
+    const counts = {};
+    words.forEach(([first]) => {
+      counts[first] = (counts[first] || 0) + 1;
+    });
+
+    const [first, count] = Object.entries(counts).sort(([, a], [, b]) => b - a)[0];
+    if (count < 2) {
+      return `${names[0]} Set`;
+    }
+
+    // Extend the prefix while every sharing piece has more words after it
+    const sharing = words.filter(([word]) => word === first);
+    let length = 1;
+    while (sharing.every(parts => parts.length > length + 1 && parts[length] === sharing[0][length])) {
+      length++;
+    }
+
+    return `${sharing[0].slice(0, length).join(' ')} Set`;
+  }
+
+  /**
+   * Compile the category table from categories.json into numeric ranges
+   * @returns {Object[]} - [{ name, ranges, subcategories: [{ name, ranges, slot }] }]
+   */
+  getCategoryTable() {
+    const source = this.dataLoader.cache.categories;
+    if (!source) {
+      throw new Error('Category data not loaded yet');
+    }
+
+    if (this.categorySource !== source) {
+      const compile = ranges => (ranges || []).map(([min, max]) => [parseInt(min, 16), parseInt(max, 16)]);
+
+      this.categoryTable = source.categories.map(category => ({
+        name: category.name,
+        ranges: compile(category.ranges),
+        subcategories: (category.subcategories || []).map(subcategory => ({
+          name: subcategory.name,
+          ranges: compile(subcategory.ranges),
+          slot: subcategory.slot ?? null
+        }))
+      }));
+      this.categorySource = source;
+    }
+
+    return this.categoryTable;
+  }
+
+  /**
+   * Determine item category and subcategory from ID
+   * The first category whose ranges contain the ID wins, then the first
+   * subcategory matching its ranges or armor slot (param ID % 1000 / 100)
+   * @param {string} itemId - Hex item ID
+   * @returns {Object} - { category, subcategory } ('Other' and null when unmatched)
+   */
+  classifyItem(itemId) {
     const id = parseInt(itemId, 16);
+    const slot = Math.floor(((id & 0x0FFFFFFF) % 1000) / 100);
+    const inRanges = ranges => ranges.some(([min, max]) => id >= min && id <= max);
 
-    // ID ranges for different categories
-    if (id >= 0x00F42400 && id <= 0x017D7840) return 'Weapons';
-    if (id >= 0x10000000 && id <= 0x14000000) return 'Armor';
-    if (id >= 0x20000000 && id <= 0x24000000) return 'Talismans';
-    if (id >= 0x40000000 && id <= 0x48000000) return 'Magic';
-    if (id >= 0x80000000 && id <= 0x88000000) return 'Ashes of War';
-    if (id >= 0x90000000 && id <= 0x98000000) return 'Spirit Ashes';
-    if (id >= 0x400007F0 && id <= 0x40000850) return 'Bell Bearings';
-    if (id >= 0x40002400 && id <= 0x40002500) return 'Cookbooks';
-    if (id >= 0x40000BC0 && id <= 0x40000BF0) return 'Crystal Tears';
-    if (id >= 0x40000000 && id <= 0x40001000) return 'Key Items';
+    for (const category of this.getCategoryTable()) {
+      if (!inRanges(category.ranges)) continue;
 
-    return 'Other';
+      const subcategory = category.subcategories.find(entry =>
+        entry.slot !== null ? entry.slot === slot : inRanges(entry.ranges)
+      );
+      return { category: category.name, subcategory: subcategory ? subcategory.name : null };
+    }
+
+    return { category: 'Other', subcategory: null };
+  }
+
+  /**
+   * Determine item category from ID
+   */
+  determineCategory(itemId) {
+    return this.classifyItem(itemId).category;
   }
 
   /**
@@ -224,22 +968,46 @@ class TrackerCore {
   filterItems(criteria) {
     let filtered = [...this.enrichedItems];
 
-    // Filter by ownership status
+    // Filter by ownership status (ignored items only appear under 'all' and 'ignored')
     if (criteria.status === 'owned') {
-      filtered = filtered.filter(item => item.owned);
+      filtered = filtered.filter(item => item.owned && !item.excluded);
     } else if (criteria.status === 'missing') {
-      filtered = filtered.filter(item => !item.owned);
+      filtered = filtered.filter(item => !item.owned && !item.excluded);
+    } else if (criteria.status === 'ignored') {
+      filtered = filtered.filter(item => item.excluded);
+    } else if (criteria.status === 'missable') {
+      // Missing items that can be locked out, soonest lockout first
+      filtered = filtered
+        .filter(item => !item.owned && !item.excluded && item.missable)
+        .sort((a, b) => a.missable.order - b.missable.order);
+    }
+
+    // Filter by where the item is kept (carried, storage chest or both)
+    if (criteria.storage === 'held') {
+      filtered = filtered.filter(item => item.ownership === 'held' || item.ownership === 'both');
+    } else if (criteria.storage === 'stored') {
+      filtered = filtered.filter(item => item.ownership === 'stored' || item.ownership === 'both');
+    } else if (criteria.storage === 'both') {
+      filtered = filtered.filter(item => item.ownership === 'both');
+    } else if (criteria.storage === 'manual') {
+      filtered = filtered.filter(item => item.ownership === 'manual');
+    }
+
+    // Filter by base game or Shadow of the Erdtree
+    if (criteria.content && criteria.content !== 'all') {
+      filtered = filtered.filter(item => item.content === criteria.content);
     }
 
     // Filter by region
-    if (criteria.region) {
+    if (criteria.region && criteria.region !== 'all') {
       filtered = filtered.filter(item => item.region === criteria.region);
     }
 
-    // Filter by category
+    // Filter by category ("Weapons") or subcategory ("Weapons/Katanas")
     if (criteria.category && criteria.category !== 'all') {
+      const [category, subcategory] = criteria.category.split('/');
       filtered = filtered.filter(item =>
-        this.determineCategory(item.id) === criteria.category
+        item.category === category && (!subcategory || item.subcategory === subcategory)
       );
     }
 
@@ -279,14 +1047,220 @@ class TrackerCore {
     return grouped;
   }
 
+  /**
+   * Recommend where to go next: rank subregions by the missing items worth the trip
+   * Farmable items (listed in several places), ignored items and quest rewards (listed
+   * under the Quests pseudo-region, not a place to travel to) are left out;
+   * each missing item scores its category priority (default 1, 0 skips the category)
+   * @param {Object} options - { priorities: { [category]: weight }, pinned: [{ region, subregion }], limit }
+   * @returns {Object} - { stops, itinerary }; stops are ranked pinned first, then by score,
+   *                     each { region, subregion, missing, score, types: { [type]: count }, pinned };
+   *                     the itinerary takes the first `limit` stops and keeps stops of a region together
+   */
+  recommendRoute(options = {}) {
+    const { priorities = {}, pinned = [], limit = 5 } = options;
+    const weightOf = item => priorities[item.category] ?? 1;
+    const isPinned = (region, subregion) =>
+      pinned.some(pin => pin.region === region && pin.subregion === subregion);
+
+    const missingItems = this.enrichedItems.filter(item =>
+      !item.owned && !item.excluded && !item.farmable && !this.isQuestReward(item) && weightOf(item) > 0
+    );
+    const stops = [];
+
+    for (const [region, subregions] of Object.entries(this.groupByRegion(missingItems))) {
+      for (const [subregion, items] of Object.entries(subregions)) {
+        const types = {};
+        items.forEach(item => {
+          types[item.type] = (types[item.type] || 0) + 1;
+        });
+
+        stops.push({
+          region,
+          subregion,
+          missing: items.length,
+          score: items.reduce((sum, item) => sum + weightOf(item), 0),
+          types,
+          pinned: isPinned(region, subregion)
+        });
+      }
+    }
+
+    // Pinned subregions stay listed after their last item is found
+    pinned
+      .filter(pin => !stops.some(stop => stop.region === pin.region && stop.subregion === pin.subregion))
+      .forEach(pin => stops.push({ ...pin, missing: 0, score: 0, types: {}, pinned: true }));
+
+    stops.sort((a, b) => (b.pinned - a.pinned) || (b.score - a.score) || (b.missing - a.missing));
+
+    // Visit the regions in order of their best stop, finishing one region before the next
+    const selected = stops.slice(0, Math.max(limit, pinned.length));
+    const regionOrder = [...new Set(selected.map(stop => stop.region))];
+    const itinerary = regionOrder.flatMap(region => selected.filter(stop => stop.region === region));
+
+    return { stops, itinerary };
+  }
+
+  /**
+   * Whether an item is listed under the Quests pseudo-region (base game: region
+   * Quests with one subregion per NPC; DLC: Other › Quests)
+   */
+  isQuestReward(item) {
+    return item.region === 'Quests' || item.subregion === 'Quests';
+  }
+
+  /**
+   * Build NPC questlines from quests.json, steps in quest order.
+   * A step is done once one of its rewards is owned: the save's inventory is all the
+   * questline reads, so whether an NPC moved on or a lockout already happened is not
+   * known. A step is missable by its own missableAfter (a boss or a note), else like
+   * its first missable reward; that is a warning only.
+   * Quest rewards of the location data missing from quests.json are added as a last
+   * "Other rewards" step of their NPC's questline, or as a questline of their own; these
+   * catch-all steps are listed but not counted in done / total
+   * @returns {Object[]} - [{ npc, steps, done, total, counted, complete, nextMissable }],
+   *                       each step { name, items, missable, done, counted };
+   *                       counted is false for questlines made of catch-all steps only
+   */
+  buildQuestlines() {
+    const source = this.dataLoader.cache.quests;
+    if (!source) {
+      throw new Error('Quest data not loaded yet');
+    }
+
+    // Farmable rewards are listed once per place; the first copy stands for all
+    const itemsById = new Map();
+    this.enrichedItems.forEach(item => {
+      if (!itemsById.has(item.id)) itemsById.set(item.id, item);
+    });
+
+    const milestones = this.getMilestones();
+    const buildStep = (step, items) => ({
+      name: step.name,
+      items,
+      missable: step.missableAfter
+        ? this.resolveMissable(step.missableAfter, milestones)
+        : items.map(item => item.missable).find(Boolean) || null,
+      done: items.some(item => item.owned),
+      counted: true
+    });
+
+    const questlines = source.questlines.map(questline => ({
+      npc: questline.npc,
+      subregion: questline.subregion || null,
+      steps: questline.steps
+        // Steps whose rewards are all outside the loaded data (DLC disabled) are left out
+        .filter(step => step.items.some(id => itemsById.has(id)))
+        .map(step => buildStep(step, step.items.filter(id => itemsById.has(id)).map(id => itemsById.get(id))))
+    }));
+
+    // Quest rewards no step lists, by NPC subregion
+    const placed = new Set(source.questlines.flatMap(questline => questline.steps.flatMap(step => step.items)));
+    const unplaced = {};
+    itemsById.forEach(item => {
+      if (!this.isQuestReward(item) || placed.has(item.id)) return;
+      if (!unplaced[item.subregion]) unplaced[item.subregion] = [];
+      unplaced[item.subregion].push(item);
+    });
+
+    Object.entries(unplaced).forEach(([subregion, items]) => {
+      const step = { ...buildStep({ name: 'Other rewards' }, items), counted: false };
+      const questline = questlines.find(entry => entry.subregion === subregion);
+
+      if (questline) {
+        questline.steps.push(step);
+      } else {
+        questlines.push({
+          npc: subregion === 'Quests' ? 'Other quest rewards' : subregion,
+          subregion,
+          steps: [step]
+        });
+      }
+    });
+
+    return questlines
+      .filter(questline => questline.steps.length > 0)
+      .map(questline => {
+        const counted = questline.steps.filter(step => step.counted);
+        const done = counted.filter(step => step.done).length;
+
+        return {
+          ...questline,
+          done,
+          total: counted.length,
+          counted: counted.length > 0,
+          complete: counted.length > 0 && done === counted.length,
+          // The first open step that a milestone or quest choice can lock out
+          nextMissable: questline.steps.find(step => !step.done && step.missable) || null
+        };
+      });
+  }
+
+  /**
+   * Analyze several slots and compare their progress
+   * Leaves the tracker holding the results of the last analyzed slot
+   * @param {ArrayBuffer} fileData - The save file data
+   * @param {number[]} slotIndices - Non-empty slots to compare
+   * @param {Object} options - { includeDLC, onProgress(done, total, slotIndex) }
+   * @returns {Object} - { characters, regions, categories, differences }
+   */
+  async compareSlots(fileData, slotIndices, options = {}) {
+    const { onProgress = null } = options;
+    const characters = [];
+
+    for (const [i, slotIndex] of slotIndices.entries()) {
+      if (onProgress) onProgress(i, slotIndices.length, slotIndex);
+
+      const result = await this.processSaveFile(fileData, slotIndex, options);
+      characters.push({
+        slotIndex: slotIndex,
+        name: result.characterName,
+        stats: result.stats,
+        ownedIds: new Set(result.items.filter(item => item.owned).map(item => item.id))
+      });
+    }
+
+    const regions = Object.keys(this.groupByRegion());
+    const categories = [...new Set(characters.flatMap(c => Object.keys(c.stats.categories)))];
+
+    return {
+      characters,
+      regions,
+      categories,
+      differences: this.findOwnershipDifferences(characters)
+    };
+  }
+
+  /**
+   * List catalogue items owned by some of the given characters but not all
+   * @returns {Object[]} - [{ item, ownedBy: boolean[] }] in catalogue order
+   */
+  findOwnershipDifferences(characters) {
+    const differences = [];
+
+    this.enrichedItems.forEach(item => {
+      const ownedBy = characters.map(character => character.ownedIds.has(item.id));
+      const ownedCount = ownedBy.filter(Boolean).length;
+
+      if (ownedCount > 0 && ownedCount < characters.length) {
+        differences.push({ item, ownedBy });
+      }
+    });
+
+    return differences;
+  }
+
   /**
    * Get character slot names from save file
    */
   async getSlotNames(fileData) {
-    const result = this.parser.getSlotNames(fileData);
-    return result;
+    return this.saveParser.getSlotNames(fileData);
   }
 }
 
-// Export for use in other modules
-window.TrackerCore = TrackerCore;
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrackerCore;
+} else {
+  window.TrackerCore = TrackerCore;
+}
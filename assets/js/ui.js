@@ -11,6 +11,7 @@ class UI {
       slotOptionsContainer: document.getElementById('slot-options-container'),
       slotSelector: document.getElementById('slot-selector'),
       btnCalculate: document.getElementById('btn-calculate'),
+      btnCompare: document.getElementById('btn-compare'),
 
       // Options
       optionDLC: document.getElementById('option-dlc-items'),
@@ -18,29 +19,88 @@ class UI {
       // Loading
       loadingIndicator: document.getElementById('loading-indicator'),
 
+      // Comparison
+      compareSection: document.getElementById('compare-section'),
+
       // Results
       resultsSection: document.getElementById('results-section'),
       characterName: document.getElementById('character-name'),
+      characterStats: document.getElementById('character-stats'),
+      historyContainer: document.getElementById('history-container'),
       totalProgress: document.getElementById('total-progress'),
       itemsOwned: document.getElementById('items-owned'),
       itemsTotal: document.getElementById('items-total'),
+      contentProgress: document.getElementById('content-progress'),
+      baseProgress: document.getElementById('base-progress'),
+      dlcProgress: document.getElementById('dlc-progress'),
+      collectiblesContainer: document.getElementById('collectibles-container'),
+      sharedBanner: document.getElementById('shared-banner'),
+      storageBanner: document.getElementById('storage-banner'),
+      btnShare: document.getElementById('btn-share'),
       regionsContainer: document.getElementById('regions-container'),
 
+      // Tabs
+      statsPanel: document.getElementById('tab-stats'),
+      routePanel: document.getElementById('tab-route'),
+      setsPanel: document.getElementById('tab-sets'),
+      setsPercentage: document.getElementById('tab-sets-percentage'),
+      questsPanel: document.getElementById('tab-quests'),
+      questsPercentage: document.getElementById('tab-quests-percentage'),
+      achievementsPanel: document.getElementById('tab-achievements'),
+      achievementsPercentage: document.getElementById('tab-achievements-percentage'),
+      tabButtons: document.querySelectorAll('.tab-button'),
+      tabPanels: document.querySelectorAll('.tab-panel'),
+
       // Filters
       filterStatus: document.querySelectorAll('input[name="filter-status"]'),
       filterCategory: document.getElementById('filter-category'),
+      filterRegion: document.getElementById('filter-region'),
       filterAcquisition: document.getElementById('filter-acquisition'),
-      searchInput: document.getElementById('search-items')
+      filterStorage: document.getElementById('filter-storage'),
+      filterContent: document.getElementById('filter-content'),
+      searchInput: document.getElementById('search-items'),
+      exportFormat: document.getElementById('export-format')
+    };
+
+    // Region accordions are kept between renders and updated in place;
+    // cards are only created once their subregion is expanded
+    this.regionViews = new Map();
+
+    // Hint markup comes from data files; names from data and save files
+    this.sanitizer = new HtmlSanitizer();
+    this.VIRTUAL_THRESHOLD = 100; // Subregions above this size use a VirtualGrid
+
+    // Donut chart segment colors by acquisition type
+    this.ACQUISITION_COLORS = {
+      'boss': '#daa520',
+      'foe': '#c0392b',
+      'chest': '#8d6e63',
+      'merchant': '#4caf50',
+      'quest': '#5c8dd6',
+      'invader': '#9c27b0',
+      'scarab': '#26a69a',
+      'unknown': '#808080'
     };
+
+    // Category priority choices of the Route tab, as score weights
+    this.PRIORITY_LEVELS = [
+      { weight: 0, label: 'Skip' },
+      { weight: 0.5, label: 'Low' },
+      { weight: 1, label: 'Normal' },
+      { weight: 2, label: 'High' },
+      { weight: 3, label: 'Top' }
+    ];
   }
 
   /**
    * Show/hide loading indicator
+   * @param {number|null} fraction - Optional progress (0-1) shown as a percentage
    */
-  setLoading(isLoading, message = 'Analyzing save file...') {
+  setLoading(isLoading, message = 'Analyzing save file...', fraction = null) {
     if (isLoading) {
+      const text = fraction !== null ? `${message} ${Math.round(fraction * 100)}%` : message;
       this.elements.loadingIndicator.classList.remove('hidden');
-      this.elements.loadingIndicator.querySelector('p').textContent = message;
+      this.elements.loadingIndicator.querySelector('p').textContent = text;
     } else {
       this.elements.loadingIndicator.classList.add('hidden');
     }
@@ -57,7 +117,7 @@ class UI {
   /**
    * Populate slot selector dropdown
    */
-  populateSlotSelector(slotNames) {
+  populateSlotSelector(slotNames, characters = []) {
     this.elements.slotSelector.innerHTML = '<option value="" disabled selected>Choose a character slot...</option>';
 
     slotNames.forEach((name, index) => {
@@ -68,7 +128,11 @@ class UI {
         option.textContent = `Slot ${index + 1} (Empty)`;
         option.disabled = true;
       } else {
-        option.textContent = `${name} (Slot ${index + 1})`;
+        const character = characters[index];
+        const details = character
+          ? ` — Lv ${character.level} · ${this.formatPlaytime(character.playtime)}`
+          : '';
+        option.textContent = `${name} (Slot ${index + 1})${details}`;
       }
 
       this.elements.slotSelector.appendChild(option);
@@ -77,36 +141,778 @@ class UI {
     this.elements.slotOptionsContainer.classList.remove('hidden');
   }
 
+  /**
+   * Populate category filter from the category table, keeping the selection
+   * Categories with subcategories become an option group ("Weapons/Katanas")
+   */
+  populateCategoryFilter(categories) {
+    const select = this.elements.filterCategory;
+    const selected = select.value;
+
+    select.replaceChildren(new Option('All Categories', 'all'));
+
+    categories.forEach(category => {
+      if (category.subcategories.length === 0) {
+        select.appendChild(new Option(category.name, category.name));
+        return;
+      }
+
+      const group = document.createElement('optgroup');
+      group.label = category.name;
+      group.appendChild(new Option(`All ${category.name}`, category.name));
+      category.subcategories.forEach(subcategory => {
+        group.appendChild(new Option(subcategory.name, `${category.name}/${subcategory.name}`));
+      });
+      select.appendChild(group);
+    });
+
+    select.value = selected;
+    if (select.value !== selected) {
+      select.value = 'all';
+    }
+  }
+
+  /**
+   * Populate region filter with the regions of the current results, keeping the selection
+   */
+  populateRegionFilter(regions) {
+    const select = this.elements.filterRegion;
+    const selected = select.value;
+
+    select.replaceChildren(new Option('All Regions', 'all'));
+    regions.forEach(region => select.appendChild(new Option(region, region)));
+
+    select.value = selected;
+    if (select.value !== selected) {
+      select.value = 'all';
+    }
+  }
+
+  /**
+   * Set a filter control to a value ('status', 'category', 'region' or 'acquisition')
+   */
+  setFilterControl(filter, value) {
+    if (filter === 'status') {
+      this.elements.filterStatus.forEach(radio => {
+        radio.checked = radio.value === value;
+      });
+      return;
+    }
+
+    const controls = {
+      category: this.elements.filterCategory,
+      region: this.elements.filterRegion,
+      acquisition: this.elements.filterAcquisition
+    };
+    controls[filter].value = value;
+  }
+
   /**
    * Update global statistics dashboard
    */
-  updateGlobalStats(stats, characterName) {
+  updateGlobalStats(stats, characterName, character = null) {
     this.elements.characterName.textContent = characterName;
     this.elements.totalProgress.textContent = `${stats.percentage}%`;
     this.elements.itemsOwned.textContent = stats.owned;
     this.elements.itemsTotal.textContent = stats.total;
+    this.renderContentStats(stats.content);
+
+    this.renderCharacterStats(character);
+    this.renderStatsDashboard(stats);
+  }
+
+  /**
+   * Render the Stats tab: missing items by acquisition type as a donut chart,
+   * and progress bars per category (with subcategories) and per region.
+   * Bars carry data-filter/data-value so a click can apply that filter.
+   */
+  renderStatsDashboard(stats) {
+    const panel = this.elements.statsPanel;
+    const acquisition = Object.entries(stats.acquisition || {})
+      .sort(([, a], [, b]) => b.missing - a.missing);
+
+    const segments = acquisition.map(([type, entry]) => ({
+      label: this.formatAcquisitionType(type),
+      value: entry.missing,
+      color: this.ACQUISITION_COLORS[type] || this.ACQUISITION_COLORS['unknown']
+    }));
+
+    const acquisitionBars = acquisition.map(([type, entry]) => this.createStatsBar({
+      label: `${this.getTypeIcon(type)} ${this.formatAcquisitionType(type)}`,
+      detail: `${entry.missing} missing`,
+      entry,
+      filter: 'acquisition',
+      value: type,
+      color: this.ACQUISITION_COLORS[type] || this.ACQUISITION_COLORS['unknown']
+    })).join('');
+
+    const categoryCards = Object.entries(stats.categories).map(([category, entry]) => {
+      const subcategories = Object.entries(entry.subcategories || {});
+
+      return `
+            <div class="category-card">
+                ${this.createStatsBar({ label: category, entry, filter: 'category', value: category })}
+                ${subcategories.length > 0 ? `
+                    <details class="stats-subcategories">
+                        <summary>${subcategories.length} subcategories</summary>
+                        ${subcategories.map(([subcategory, subEntry]) => this.createStatsBar({
+                          label: subcategory,
+                          entry: subEntry,
+                          filter: 'category',
+                          value: `${category}/${subcategory}`
+                        })).join('')}
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    const regionBars = Object.entries(stats.regions).map(([region, entry]) => this.createStatsBar({
+      label: region,
+      entry,
+      filter: 'region',
+      value: region
+    })).join('');
+
+    panel.innerHTML = `
+            <div class="stats-overview">
+                ${this.createDonutChart(segments, stats.missing, 'missing')}
+                <div class="stats-legend">
+                    <h3 class="collectibles-title">Missing by Acquisition</h3>
+                    ${acquisitionBars || '<p class="counter">Nothing missing.</p>'}
+                </div>
+            </div>
+
+            <h3 class="collectibles-title">Categories</h3>
+            <div class="category-stats">
+                ${categoryCards}
+            </div>
+
+            <h3 class="collectibles-title">Regions</h3>
+            <div class="stats-regions">
+                ${regionBars}
+            </div>
+        `;
+  }
+
+  /**
+   * Build a clickable progress bar for the Stats tab
+   * @param {Object} options - { label, entry: { owned, total, percentage }, filter, value, detail, color }
+   */
+  createStatsBar({ label, entry, filter, value, detail = null, color = null }) {
+    const counts = `${entry.owned}/${entry.total} (${entry.percentage}%)`;
+    const fillStyle = `width: ${entry.percentage}%;${color ? ` background: ${color};` : ''}`;
+
+    return `
+            <button type="button" class="stats-bar" data-filter="${filter}" data-value="${this.sanitizer.escape(value)}"
+                    title="Show ${this.sanitizer.escape(label)} items">
+                <span class="stats-bar-label">${this.sanitizer.escape(label)}</span>
+                <span class="progress-bar"><span class="progress-fill" style="${fillStyle}"></span></span>
+                <span class="counter">${detail ? `${this.sanitizer.escape(detail)} · ` : ''}${counts}</span>
+            </button>
+        `;
+  }
+
+  /**
+   * Build an inline SVG donut chart
+   * @param {Object[]} segments - [{ label, value, color }]
+   * @param {number} total - Number shown in the center
+   * @param {string} caption - Text below the number
+   */
+  createDonutChart(segments, total, caption) {
+    // Radius for a circumference of 100, so dash lengths are percentages
+    const radius = 100 / (2 * Math.PI);
+    const sum = segments.reduce((n, segment) => n + segment.value, 0);
+    let offset = 0;
+
+    const arcs = segments.filter(segment => segment.value > 0).map(segment => {
+      const length = (segment.value / sum) * 100;
+      const arc = `
+                <circle cx="21" cy="21" r="${radius}" stroke="${segment.color}"
+                        stroke-dasharray="${length} ${100 - length}" stroke-dashoffset="${-offset}">
+                    <title>${this.sanitizer.escape(segment.label)}: ${segment.value}</title>
+                </circle>
+            `;
+      offset += length;
+      return arc;
+    }).join('');
+
+    return `
+            <svg class="donut-chart" viewBox="0 0 42 42">
+                <circle class="donut-track" cx="21" cy="21" r="${radius}" />
+                <g transform="rotate(-90 21 21)">${arcs}</g>
+                <text x="21" y="21" class="donut-total">${total}</text>
+                <text x="21" y="26" class="donut-caption">${this.sanitizer.escape(caption)}</text>
+            </svg>
+        `;
+  }
+
+  /**
+   * Render the Sets tab: incomplete armor sets with per-piece status and location,
+   * complete sets folded away below
+   * @param {Object[]} sets - From TrackerCore.groupArmorSets
+   * @param {Object} setStats - { total, complete, percentage }
+   */
+  renderArmorSets(sets, setStats) {
+    const panel = this.elements.setsPanel;
+    this.elements.setsPercentage.textContent = `${setStats.percentage}%`;
+
+    const incomplete = sets.filter(set => !set.complete);
+    const complete = sets.filter(set => set.complete);
+
+    panel.innerHTML = `
+            <div class="progression-summary">
+                <span class="progress-large"><strong>${setStats.percentage}%</strong></span>
+                <span class="items-count"><span>${setStats.complete}</span> / <span>${setStats.total}</span> Armor Sets Complete</span>
+            </div>
+            <div class="collectibles-grid">
+                ${incomplete.map(set => this.createSetCard(set)).join('')}
+            </div>
+            ${complete.length > 0 ? `
+                <details class="compare-differences">
+                    <summary>Complete sets (${complete.length})</summary>
+                    <div class="collectibles-grid">
+                        ${complete.map(set => this.createSetCard(set)).join('')}
+                    </div>
+                </details>
+            ` : ''}
+        `;
+  }
+
+  /**
+   * Build an armor set card listing head, chest, arms and legs
+   */
+  createSetCard(set) {
+    const pieces = set.slots.map(slot => {
+      const piece = set.pieces[slot];
+      if (!piece) {
+        return `<li class="unknown"><span class="set-slot">${slot}</span> —</li>`;
+      }
+
+      const status = piece.excluded ? 'ignored' : piece.owned ? 'done' : 'missing';
+      const mark = piece.excluded ? '⊘' : piece.owned ? '✔' : '✘';
+      const places = piece.places
+        .map(place => `${place.region} › ${place.subregion}`)
+        .join('; ');
+
+      return `
+                <li class="${status}" title="${this.sanitizer.escape(places)}">
+                    <span class="set-slot">${slot}</span>
+                    ${mark} ${this.sanitizer.escape(piece.name)}${piece.altered ? ' <span class="item-upgrade">Altered</span>' : ''}
+                    ${piece.owned ? '' : `<span class="counter">${this.sanitizer.escape(places)}</span>`}
+                </li>
+            `;
+    }).join('');
+
+    return `
+            <div class="collectible-card set-card ${set.complete ? 'complete' : ''}">
+                <div class="collectible-header">
+                    <span class="collectible-name">${this.sanitizer.escape(set.name)}</span>
+                    <span class="counter">${set.owned} / ${set.required}</span>
+                </div>
+                <ul class="set-pieces">${pieces}</ul>
+            </div>
+        `;
+  }
+
+  /**
+   * Render the Trophies tab: each item-based trophy with its owned and missing items
+   * and where the missing ones are found
+   * @param {Object[]} achievements - From TrackerCore.buildAchievements
+   * @param {Object} achievementStats - { total, complete, owned, required, percentage }
+   */
+  renderAchievements(achievements, achievementStats) {
+    const panel = this.elements.achievementsPanel;
+    this.elements.achievementsPercentage.textContent = `${achievementStats.percentage}%`;
+
+    panel.innerHTML = `
+            <div class="progression-summary">
+                <span class="progress-large"><strong>${achievementStats.percentage}%</strong></span>
+                <span class="items-count"><span>${achievementStats.complete}</span> / <span>${achievementStats.total}</span> Trophies</span>
+                <span class="items-count"><span>${achievementStats.owned}</span> / <span>${achievementStats.required}</span> Required Items</span>
+            </div>
+            <div class="collectibles-grid">
+                ${achievements.map(achievement => this.createAchievementCard(achievement)).join('')}
+            </div>
+        `;
+  }
+
+  /**
+   * Build a trophy card: missing items first, with their places
+   */
+  createAchievementCard(achievement) {
+    const pieces = [...achievement.pieces]
+      .sort((a, b) => a.owned - b.owned)
+      .map(piece => {
+        const places = piece.places
+          .map(place => `${place.region} › ${place.subregion}`)
+          .join('; ');
+        const missable = piece.missable && !piece.owned
+          ? ` <span class="item-missable" title="${this.sanitizer.escape(this.formatMissable(piece.missable))}">⚠</span>`
+          : '';
+
+        return `
+                <li class="${piece.owned ? 'done' : 'missing'}">
+                    ${piece.owned ? '✔' : '✘'} ${this.sanitizer.escape(piece.name)}${missable}
+                    ${piece.owned ? '' : `<span class="counter">${this.sanitizer.escape(places)}</span>`}
+                </li>
+            `;
+      }).join('');
+
+    return `
+            <div class="collectible-card achievement-card ${achievement.complete ? 'complete' : ''}">
+                <div class="collectible-header">
+                    <span class="collectible-name">🏆 ${this.sanitizer.escape(achievement.name)}</span>
+                    <span class="counter">${achievement.owned} / ${achievement.required}</span>
+                </div>
+                <p class="history-note">${this.sanitizer.escape(achievement.description)}</p>
+                <ul class="achievement-pieces">${pieces}</ul>
+            </div>
+        `;
+  }
+
+  /**
+   * Render the Quests tab: NPC questlines with their steps in order and a warning
+   * for the next step that can still be missed; finished questlines folded away below.
+   * Catch-all "Other rewards" are listed but left out of the percentage
+   * @param {Object[]} questlines - From TrackerCore.buildQuestlines
+   */
+  renderQuestlines(questlines) {
+    const panel = this.elements.questsPanel;
+    const counted = questlines.filter(questline => questline.counted);
+    const complete = questlines.filter(questline => questline.complete);
+    const open = questlines.filter(questline => !questline.complete);
+    const percentage = counted.length > 0 ? Math.round((complete.length / counted.length) * 100) : 0;
+
+    this.elements.questsPercentage.textContent = `${percentage}%`;
+
+    panel.innerHTML = `
+            <div class="progression-summary">
+                <span class="progress-large"><strong>${percentage}%</strong></span>
+                <span class="items-count"><span>${complete.length}</span> / <span>${counted.length}</span> Questlines Complete</span>
+            </div>
+            <p class="history-note">Steps are done once one of their rewards is owned. Lockouts are not read from the save: a ⚠ warning means the step can still be missed if it has not been already.</p>
+            <div class="collectibles-grid">
+                ${open.map(questline => this.createQuestCard(questline)).join('')}
+            </div>
+            ${complete.length > 0 ? `
+                <details class="compare-differences">
+                    <summary>Complete questlines (${complete.length})</summary>
+                    <div class="collectibles-grid">
+                        ${complete.map(questline => this.createQuestCard(questline)).join('')}
+                    </div>
+                </details>
+            ` : ''}
+        `;
+  }
+
+  /**
+   * Build a questline card: numbered steps with their rewards
+   */
+  createQuestCard(questline) {
+    const warning = questline.nextMissable ? `
+            <p class="quest-warning">
+                ⚠ Next missable: ${this.sanitizer.escape(questline.nextMissable.name)}
+                — ${this.sanitizer.escape(this.formatMissable(questline.nextMissable.missable))}
+            </p>
+        ` : '';
+
+    const steps = questline.steps.map(step => {
+      const rewards = step.items
+        .map(item => `${item.owned ? '✔' : '✘'} ${item.name}`)
+        .join(', ');
+
+      return `
+                <li class="${step.done ? 'done' : 'missing'}">
+                    ${step.done ? '✔' : '✘'} ${this.sanitizer.escape(step.name)}${step.counted ? '' : ' (not counted)'}
+                    ${rewards ? `<span class="counter">${this.sanitizer.escape(rewards)}</span>` : ''}
+                </li>
+            `;
+    }).join('');
+
+    return `
+            <div class="collectible-card quest-card ${questline.complete ? 'complete' : ''}">
+                <div class="collectible-header">
+                    <span class="collectible-name">${this.sanitizer.escape(questline.npc)}</span>
+                    <span class="counter">${questline.counted ? `${questline.done} / ${questline.total}` : 'not counted'}</span>
+                </div>
+                ${warning}
+                <ol class="quest-steps">${steps}</ol>
+            </div>
+        `;
+  }
+
+  /**
+   * Describe what locks a missable item or step out: its milestone, then its note
+   * ("Lost after: Defeat Rykard, Lord of Blasphemy — Patches' request ends with Rykard")
+   */
+  formatMissable(missable) {
+    return [missable.milestone && `Lost after: ${missable.milestone}`, missable.note]
+      .filter(Boolean)
+      .join(' — ');
+  }
+
+  /**
+   * Render the Route tab: an ordered itinerary, the subregion ranking and category priorities
+   * @param {Object} route - { stops, itinerary } from TrackerCore.recommendRoute
+   * @param {string[]} categories - Category names, in table order
+   * @param {Object} priorities - { [category]: weight }
+   */
+  renderRoute(route, categories, priorities) {
+    const panel = this.elements.routePanel;
+    const RANKING_SIZE = 20;
+
+    const itinerary = route.itinerary.map(stop => `
+            <li class="${stop.missing === 0 ? 'done' : ''}">
+                ${this.createPinButton(stop)}
+                ${this.sanitizer.escape(this.formatRouteStop(stop))}
+            </li>
+        `).join('');
+
+    const ranking = route.stops.slice(0, RANKING_SIZE).map((stop, index) => `
+            <tr>
+                <td class="counter">${index + 1}</td>
+                <td>${this.sanitizer.escape(`${stop.region} › ${stop.subregion}`)}</td>
+                <td>${stop.missing}</td>
+                <td>${Math.round(stop.score * 10) / 10}</td>
+                <td class="counter">${this.sanitizer.escape(this.formatTypeCounts(stop.types))}</td>
+                <td>${this.createPinButton(stop)}</td>
+            </tr>
+        `).join('');
+
+    const priorityControls = categories.map(category => `
+            <label class="route-priority">
+                ${this.sanitizer.escape(category)}
+                <select class="filter-select" data-priority="${this.sanitizer.escape(category)}">
+                    ${this.PRIORITY_LEVELS.map(level => `
+                        <option value="${level.weight}" ${(priorities[category] ?? 1) === level.weight ? 'selected' : ''}>${level.label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+
+    panel.innerHTML = `
+            <h3 class="collectibles-title">Suggested Route</h3>
+            ${itinerary
+              ? `<ol class="route-itinerary">${itinerary}</ol>`
+              : '<p class="counter">Nothing left to collect outside farmable items.</p>'}
+
+            <details class="compare-differences">
+                <summary>Category priorities</summary>
+                <p class="history-note">Missing items count towards a subregion's score with their category's weight; farmable items are not counted.</p>
+                <div class="route-priorities">${priorityControls}</div>
+            </details>
+
+            <h3 class="collectibles-title">Top Subregions</h3>
+            <div class="compare-table-wrapper">
+                <table class="compare-table route-ranking">
+                    <thead>
+                        <tr><th>#</th><th>Subregion</th><th>Missing</th><th>Score</th><th>Acquisition</th><th>Pin</th></tr>
+                    </thead>
+                    <tbody>${ranking}</tbody>
+                </table>
+            </div>
+        `;
+  }
+
+  /**
+   * Build the pin toggle of a route stop
+   */
+  createPinButton(stop) {
+    return `
+            <button type="button" class="route-pin ${stop.pinned ? 'pinned' : ''}"
+                    data-pin-region="${this.sanitizer.escape(stop.region)}"
+                    data-pin-subregion="${this.sanitizer.escape(stop.subregion)}"
+                    title="${stop.pinned ? 'Unpin' : 'Pin to the top of the route'}">📌</button>
+        `;
+  }
+
+  /**
+   * Describe a route stop ("Caelid › Sellia: 7 missing (3 chest, 2 foe)")
+   */
+  formatRouteStop(stop) {
+    const types = this.formatTypeCounts(stop.types);
+    return `${stop.region} › ${stop.subregion}: ${stop.missing} missing${types ? ` (${types})` : ''}`;
+  }
+
+  /**
+   * List acquisition type counts, most common first ("3 chest, 2 foe")
+   */
+  formatTypeCounts(types) {
+    return Object.entries(types)
+      .sort(([, a], [, b]) => b - a)
+      .map(([type, count]) => `${count} ${type}`)
+      .join(', ');
+  }
+
+  /**
+   * Format acquisition type for display ("boss" -> "Boss")
+   */
+  formatAcquisitionType(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1);
+  }
+
+  /**
+   * Show base game and Shadow of the Erdtree completion when DLC items are tracked
+   */
+  renderContentStats(content) {
+    const hasDlc = content && content.dlc.total > 0;
+    this.elements.contentProgress.classList.toggle('hidden', !hasDlc);
+
+    if (hasDlc) {
+      this.elements.baseProgress.textContent = `${content.base.percentage}%`;
+      this.elements.dlcProgress.textContent = `${content.dlc.percentage}%`;
+    }
+  }
+
+  /**
+   * Render level, runes, playtime and attributes below the global stats
+   */
+  renderCharacterStats(character) {
+    const container = this.elements.characterStats;
+
+    if (!character) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    const entries = [
+      ['Level', character.level],
+      ['Playtime', this.formatPlaytime(character.playtime)]
+    ];
+
+    if (character.runes !== null) {
+      entries.push(['Runes', character.runes.toLocaleString()]);
+    }
+    if (character.attributes) {
+      for (const [attribute, value] of Object.entries(character.attributes)) {
+        entries.push([attribute.substring(0, 3).toUpperCase(), value]);
+      }
+    }
+
+    container.innerHTML = entries.map(([label, value]) => `
+            <span class="character-stat">${label} <strong>${value}</strong></span>
+        `).join('');
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Render snapshot history: items new since the previous upload and a completion chart
+   * @param {Object[]} history - Snapshots of the current character, oldest first
+   * @param {Object} options - { previous, newItems (grouped by region), restored }
+   */
+  renderHistory(history, options = {}) {
+    const { previous = null, newItems = null, restored = null } = options;
+    const container = this.elements.historyContainer;
+    const parts = [];
+
+    if (restored) {
+      parts.push(`
+            <p class="history-note">
+                Showing saved results from ${this.formatDate(restored.timestamp)}. Upload a save file to refresh.
+            </p>
+        `);
+    }
+
+    if (previous && newItems) {
+      const regionEntries = Object.entries(newItems);
+      const count = regionEntries.reduce((sum, [, subregions]) =>
+        sum + Object.values(subregions).reduce((n, items) => n + items.length, 0), 0);
+
+      parts.push(`
+            <h3 class="collectibles-title">New Since ${this.formatDate(previous.timestamp)} (${count})</h3>
+            ${regionEntries.map(([region, subregions]) => `
+                <details class="compare-differences">
+                    <summary>${this.sanitizer.escape(region)}</summary>
+                    <ul class="progression-list">
+                        ${Object.entries(subregions).flatMap(([subregion, items]) =>
+                          items.map(item => `<li class="done">${this.sanitizer.escape(item.name)} <span class="counter">${this.sanitizer.escape(subregion)}</span></li>`)
+                        ).join('')}
+                    </ul>
+                </details>
+            `).join('') || '<p class="counter">No new items since the last upload.</p>'}
+        `);
+    }
+
+    if (history.length >= 2) {
+      parts.push(`
+            <h3 class="collectibles-title">Completion Over Time</h3>
+            ${this.createHistoryChart(history)}
+        `);
+    }
+
+    container.innerHTML = parts.join('');
+    container.classList.toggle('hidden', parts.length === 0);
+  }
+
+  /**
+   * Build an inline SVG line chart of completion percentage per snapshot
+   */
+  createHistoryChart(history) {
+    const width = 600;
+    const height = 120;
+    const padding = 10;
+
+    const first = history[0].timestamp;
+    const span = Math.max(history[history.length - 1].timestamp - first, 1);
+
+    const points = history.map(snapshot => ({
+      x: padding + ((snapshot.timestamp - first) / span) * (width - padding * 2),
+      y: height - padding - (snapshot.stats.percentage / 100) * (height - padding * 2),
+      snapshot
+    }));
+
+    return `
+            <svg class="history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${points.map(p => `${p.x},${p.y}`).join(' ')}" />
+                ${points.map(p => `
+                    <circle cx="${p.x}" cy="${p.y}" r="3">
+                        <title>${this.formatDate(p.snapshot.timestamp)}: ${p.snapshot.stats.percentage}% (${p.snapshot.stats.owned}/${p.snapshot.stats.total})</title>
+                    </circle>
+                `).join('')}
+            </svg>
+        `;
+  }
+
+  /**
+   * Format timestamp for display
+   */
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString();
+  }
+
+  /**
+   * Format playtime seconds as "12h 34m"
+   */
+  formatPlaytime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+
+  /**
+   * Render quantity-based collectibles with a per-place checklist
+   * The counter is the held stack size; places are checked by hand
+   */
+  renderCollectibles(collectibles) {
+    const container = this.elements.collectiblesContainer;
+    container.innerHTML = '';
+
+    if (!collectibles || collectibles.length === 0) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    const title = document.createElement('h3');
+    title.className = 'collectibles-title';
+    title.textContent = 'Collectibles';
+    container.appendChild(title);
+
+    const note = document.createElement('p');
+    note.className = 'history-note';
+    note.textContent = 'The save only holds how many you carry, not where they came from: tick places off by hand.';
+    container.appendChild(note);
+
+    const grid = document.createElement('div');
+    grid.className = 'collectibles-grid';
+
+    collectibles.forEach(collectible => {
+      const card = document.createElement('div');
+      card.className = 'collectible-card';
+      card.dataset.collectibleId = collectible.id;
+      this.fillCollectibleCard(card, collectible);
+      grid.appendChild(card);
+    });
+
+    container.appendChild(grid);
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Fill a collectible card with its counter and place checklist
+   */
+  fillCollectibleCard(card, collectible) {
+    card.classList.toggle('complete', collectible.held >= collectible.total);
+
+    const places = collectible.places.map((place, index) => `
+                <li class="${place.checked ? 'found' : ''}">
+                    <input type="checkbox" data-place-index="${index}" ${place.checked ? 'checked' : ''}>
+                    ${this.sanitizer.escape(place.name)}
+                </li>
+            `).join('');
+
+    card.innerHTML = `
+            <div class="collectible-header">
+                <span class="collectible-name">${this.sanitizer.escape(collectible.name)}</span>
+                <span class="counter" title="Held + stored">${collectible.held} / ${collectible.total}</span>
+            </div>
+            <ul class="collectible-places">
+                ${places}
+            </ul>
+        `;
+  }
+
+  /**
+   * Refresh a single collectible card after a place was checked
+   */
+  updateCollectibleCard(collectible) {
+    const card = this.elements.collectiblesContainer.querySelector(
+      `[data-collectible-id="${collectible.id}"]`
+    );
+    if (card) {
+      this.fillCollectibleCard(card, collectible);
+    }
+  }
+
+  /**
+   * Switch the visible results tab
+   */
+  showTab(tab) {
+    this.elements.tabButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    this.elements.tabPanels.forEach(panel => {
+      panel.classList.toggle('hidden', panel.id !== `tab-${tab}`);
+    });
   }
 
   /**
    * Render regional accordion
+   * Reuses existing region and subregion elements, so expanded sections stay
+   * open and only the cards of expanded subregions are rebuilt
    */
   renderRegions(groupedItems, regionalStats) {
-    this.elements.regionsContainer.innerHTML = '';
+    const container = this.elements.regionsContainer;
+    const visible = new Set();
 
     for (const [region, subregions] of Object.entries(groupedItems)) {
       const regionStats = regionalStats[region] || { owned: 0, total: 0, percentage: 0 };
-      const regionElement = this.createRegionAccordion(region, subregions, regionStats);
-      this.elements.regionsContainer.appendChild(regionElement);
+
+      let view = this.regionViews.get(region);
+      if (!view) {
+        view = this.createRegionAccordion(region);
+        this.regionViews.set(region, view);
+      }
+
+      this.updateRegionAccordion(view, subregions, regionStats);
+      container.appendChild(view.element); // Appending an attached node only moves it
+      visible.add(region);
     }
 
+    // Detach regions without matching items but keep their state
+    this.regionViews.forEach((view, region) => {
+      if (!visible.has(region)) view.element.remove();
+    });
+
     // Show results section
     this.elements.resultsSection.classList.remove('hidden');
   }
 
   /**
    * Create region accordion element
+   * @returns {Object} - Region view: { element, header, content, counter, percentage, subregions }
    */
-  createRegionAccordion(region, subregions, stats) {
+  createRegionAccordion(region) {
     const regionDiv = document.createElement('div');
     regionDiv.className = 'region';
 
@@ -116,64 +922,157 @@ class UI {
     header.innerHTML = `
             <div class="region-title">
                 <span class="arrow"></span>
-                ${region}
+                <span class="region-name"></span>
             </div>
             <div class="region-stats">
-                <span class="counter">(${stats.owned}/${stats.total})</span>
-                <span class="region-percentage">${stats.percentage}%</span>
+                <span class="counter"></span>
+                <span class="region-percentage"></span>
             </div>
         `;
+    header.querySelector('.region-name').textContent = region;
 
     // Region Content
     const content = document.createElement('div');
     content.className = 'region-content';
 
-    // Render subregions
+    // Toggle region
+    header.addEventListener('click', () => {
+      header.classList.toggle('active');
+      content.classList.toggle('active');
+    });
+
+    regionDiv.appendChild(header);
+    regionDiv.appendChild(content);
+
+    return {
+      element: regionDiv,
+      content: content,
+      counter: header.querySelector('.counter'),
+      percentage: header.querySelector('.region-percentage'),
+      subregions: new Map()
+    };
+  }
+
+  /**
+   * Update region counters and its subregions
+   */
+  updateRegionAccordion(view, subregions, stats) {
+    view.counter.textContent = `(${stats.owned}/${stats.total})`;
+    view.percentage.textContent = `${stats.percentage}%`;
+
+    const visible = new Set();
+
     for (const [subregion, items] of Object.entries(subregions)) {
-      const subregionDiv = document.createElement('div');
-      subregionDiv.className = 'subregion';
-
-      // Subregion header
-      const subHeader = document.createElement('div');
-      subHeader.className = 'subregion-header';
-      subHeader.innerHTML = `
-                <div class="subregion-title">${subregion}</div>
-                <div class="counter">(${items.filter(i => i.owned).length}/${items.length})</div>
+      let subView = view.subregions.get(subregion);
+      if (!subView) {
+        subView = this.createSubregion(subregion);
+        view.subregions.set(subregion, subView);
+      }
+
+      this.updateSubregion(subView, items);
+      view.content.appendChild(subView.element);
+      visible.add(subregion);
+    }
+
+    view.subregions.forEach((subView, subregion) => {
+      if (!visible.has(subregion)) subView.element.remove();
+    });
+  }
+
+  /**
+   * Create subregion element (cards are rendered on first expand)
+   * @returns {Object} - Subregion view: { element, content, counter, items, rendered, virtualGrid }
+   */
+  createSubregion(subregion) {
+    const subregionDiv = document.createElement('div');
+    subregionDiv.className = 'subregion';
+
+    // Subregion header
+    const subHeader = document.createElement('div');
+    subHeader.className = 'subregion-header';
+    subHeader.innerHTML = `
+                <div class="subregion-title"></div>
+                <div class="counter"></div>
             `;
+    subHeader.querySelector('.subregion-title').textContent = subregion;
 
-      // Subregion content
-      const subContent = document.createElement('div');
-      subContent.className = 'subregion-content';
+    // Subregion content
+    const subContent = document.createElement('div');
+    subContent.className = 'subregion-content';
 
-      const itemsGrid = document.createElement('div');
-      itemsGrid.className = 'items-grid';
+    subregionDiv.appendChild(subHeader);
+    subregionDiv.appendChild(subContent);
 
-      items.forEach(item => {
-        itemsGrid.appendChild(this.createItemCard(item));
-      });
+    const view = {
+      element: subregionDiv,
+      content: subContent,
+      counter: subHeader.querySelector('.counter'),
+      items: [],
+      rendered: false,
+      virtualGrid: null
+    };
 
-      subContent.appendChild(itemsGrid);
+    // Toggle subregion
+    subHeader.addEventListener('click', () => {
+      subContent.classList.toggle('active');
+      if (subContent.classList.contains('active') && !view.rendered) {
+        this.renderSubregionItems(view);
+      }
+    });
 
-      // Toggle subregion
-      subHeader.addEventListener('click', () => {
-        subContent.classList.toggle('active');
-      });
+    return view;
+  }
+
+  /**
+   * Set subregion items; re-render cards now if expanded, otherwise on next expand
+   */
+  updateSubregion(view, items) {
+    view.items = items;
+    view.counter.textContent = `(${items.filter(i => i.owned).length}/${items.length})`;
+    view.rendered = false;
 
-      subregionDiv.appendChild(subHeader);
-      subregionDiv.appendChild(subContent);
-      content.appendChild(subregionDiv);
+    if (view.content.classList.contains('active')) {
+      this.renderSubregionItems(view);
+    } else {
+      this.releaseVirtualGrid(view);
+      view.content.replaceChildren();
     }
+  }
 
-    // Toggle region
-    header.addEventListener('click', () => {
-      header.classList.toggle('active');
-      content.classList.toggle('active');
-    });
+  /**
+   * Disconnect and drop the virtual grid of a subregion once it leaves the page
+   */
+  releaseVirtualGrid(view) {
+    if (view.virtualGrid) {
+      view.virtualGrid.destroy();
+      view.virtualGrid = null;
+    }
+  }
 
-    regionDiv.appendChild(header);
-    regionDiv.appendChild(content);
+  /**
+   * Render the cards of a subregion, virtualized when it is large
+   */
+  renderSubregionItems(view) {
+    if (view.items.length > this.VIRTUAL_THRESHOLD) {
+      if (!view.virtualGrid) {
+        view.virtualGrid = new VirtualGrid(item => this.createItemCard(item));
+      }
+      view.content.replaceChildren(view.virtualGrid.element);
+      view.virtualGrid.setItems(view.items);
+    } else {
+      this.releaseVirtualGrid(view);
+
+      const itemsGrid = document.createElement('div');
+      itemsGrid.className = 'items-grid';
+
+      view.items.forEach(item => {
+        itemsGrid.appendChild(this.createItemCard(item));
+      });
+
+      view.content.replaceChildren(itemsGrid);
+    }
 
-    return regionDiv;
+    view.rendered = true;
   }
 
   /**
@@ -181,63 +1080,138 @@ class UI {
    */
   createItemCard(item) {
     const card = document.createElement('div');
-    card.className = `item-card ${item.owned ? 'owned' : 'missing'}`;
+    card.className = `item-card ${item.owned ? 'owned' : 'missing'}${item.excluded ? ' excluded' : ''}`;
+    card.dataset.itemId = item.id;
 
     // Icons
     const typeIcon = this.getTypeIcon(item.type);
     const farmableIcon = item.farmable ? '<span class="farmable-icon" title="Farmable">♾️</span>' : '';
+    const ownershipBadge = this.getOwnershipBadge(item.ownership);
+    const quantityBadge = item.quantity > 1 ? `<span class="item-quantity" title="Held + stored">×${item.quantity}</span>` : '';
 
-    // Normalize item name for image matching
-    const normalizedName = this.normalizeItemName(item.name);
-
-    // Item image path (from items folder)
-    const itemImagePath = `assets/img/items/${normalizedName}.webp`;
-
-    // Type icon image path (from hints folder)
-    const typeIconPath = `assets/img/hints/${item.type}.png`;
-
-    // Clean hint HTML (strip outer <ul> tags if present)
-    let hintHTML = item.hint;
-    if (hintHTML.startsWith('<ul>')) {
-      hintHTML = hintHTML.substring(4, hintHTML.length - 5); // Remove <ul> and </ul>
-    }
-
-    // Remove inline styles and problematic tags
-    hintHTML = hintHTML.replace(/style="[^"]*"/gi, ''); // Remove all inline styles
-    hintHTML = hintHTML.replace(/<mark>/gi, ''); // Remove <mark> opening tags
-    hintHTML = hintHTML.replace(/<\/mark>/gi, ''); // Remove <mark> closing tags
-
+    // Static markup only; names, paths and hints are filled in below
     card.innerHTML = `
             <div class="item-header">
-                <span class="item-name">${item.name}</span>
+                <span class="item-name"></span>
+                <span class="item-upgrade hidden"></span>
+                <span class="item-missable hidden"></span>
+                ${quantityBadge}
             </div>
             <div class="item-image">
-                <img src="${itemImagePath}" alt="${item.name}" onerror="this.onerror=null; ${this.getImageFallback(item.name)}">
+                <img>
             </div>
             <div class="item-type-icons">
-                <img src="${typeIconPath}" alt="${item.type}" class="type-icon" onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2224%22 height=%2224%22><text y=%2218%22 font-size=%2220%22>${typeIcon}</text></svg>'">
+                <img class="type-icon">
                 ${farmableIcon}
+                ${ownershipBadge}
             </div>
             <div class="item-hint">
-                ${hintHTML}
-                <a href="${item.wikiUrl}" target="_blank" class="wiki-link">📖 Wiki →</a>
+                <a target="_blank" rel="noopener" class="wiki-link">📖 Wiki →</a>
             </div>
+            ${this.createOverrideControls(item)}
         `;
 
+    card.querySelector('.item-name').textContent = item.name;
+
+    // Upgrade level and affinity of the best owned copy, every copy in the tooltip
+    const upgradeLabel = this.formatVariant(item);
+    if (upgradeLabel) {
+      const upgrade = card.querySelector('.item-upgrade');
+      upgrade.textContent = upgradeLabel;
+      upgrade.title = item.variants.map(variant => this.formatVariant(variant) || 'Base').join(', ');
+      upgrade.classList.remove('hidden');
+    }
+
+    // Warning for missing items a milestone or quest choice can lock out
+    if (item.missable && !item.owned) {
+      const missable = card.querySelector('.item-missable');
+      missable.textContent = '⚠ Missable';
+      missable.title = `Missable: ${this.formatMissable(item.missable)}`;
+      missable.classList.remove('hidden');
+    }
+
+    // Item image (from items folder), normalized name for image matching
+    const image = card.querySelector('.item-image img');
+    image.alt = item.name;
+    image.addEventListener('error', () => this.handleImageError(image, item.name), { once: true });
+    image.src = `assets/img/items/${this.normalizeItemName(item.name)}.webp`;
+
+    // Type icon (from hints folder), emoji when the image is missing
+    const typeImage = card.querySelector('.type-icon');
+    typeImage.alt = item.type;
+    typeImage.addEventListener('error', () => {
+      typeImage.src = this.getTypeIconFallback(typeIcon);
+    }, { once: true });
+    typeImage.src = `assets/img/hints/${item.type}.png`;
+
+    // Hint markup is reduced to allow-listed tags (outer <ul>, <mark> and styles are dropped)
+    const hint = card.querySelector('.item-hint');
+    const wikiLink = hint.querySelector('.wiki-link');
+    hint.insertBefore(this.sanitizer.sanitize(item.hint), wikiLink);
+    wikiLink.href = item.wikiUrl;
+
     return card;
   }
 
   /**
-   * Get image fallback logic
+   * Describe an upgrade level and affinity, e.g. "Heavy +12", or an altered armor piece
+   * @returns {string} - Empty for unupgraded, standard copies
+   */
+  formatVariant({ upgrade, affinity, altered }) {
+    const parts = [];
+    if (altered) parts.push('Altered');
+    if (affinity && affinity !== 'Standard') parts.push(affinity);
+    if (upgrade > 0) parts.push(`+${upgrade}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Create manual override buttons (force owned, force missing, ignore)
    */
-  getImageFallback(itemName) {
+  createOverrideControls(item) {
+    const controls = [
+      ['owned', '✔', 'Mark as owned'],
+      ['missing', '✘', 'Mark as missing'],
+      ['ignored', '⊘', 'Ignore (exclude from totals)']
+    ];
+
+    const buttons = controls.map(([value, icon, title]) => `
+                <button type="button" class="override-button ${item.override === value ? 'active' : ''}"
+                    data-override="${value}" title="${item.override === value ? 'Clear override' : title}">${icon}</button>
+            `).join('');
+
+    return `<div class="item-overrides">${buttons}</div>`;
+  }
+
+  /**
+   * Replace every rendered card of an item after its override changed
+   */
+  updateItemCards(itemId, item) {
+    this.elements.regionsContainer
+      .querySelectorAll(`.item-card[data-item-id="${itemId}"]`)
+      .forEach(card => card.replaceWith(this.createItemCard(item)));
+  }
+
+  /**
+   * Image fallback when an item image is missing
+   */
+  handleImageError(image, itemName) {
     // Bell Bearing fallback
     if (itemName.includes('Bell Bearing')) {
-      return "this.src='assets/img/items/Bell Bearing.webp';";
+      image.src = 'assets/img/items/Bell Bearing.webp';
+      return;
     }
 
     // Default: hide image
-    return "this.style.display='none';";
+    image.style.display = 'none';
+  }
+
+  /**
+   * Inline SVG showing the type emoji, for missing hint icons
+   */
+  getTypeIconFallback(typeIcon) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><text y="18" font-size="20">${typeIcon}</text></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
   }
 
   /**
@@ -254,12 +1228,24 @@ class UI {
       normalized = 'Note';
     }
 
-    // Remove colons
-    normalized = normalized.replace(/:/g, '');
+    // Remove characters file names cannot hold (colons, question marks)
+    normalized = normalized.replace(/[:?]/g, '');
 
     return normalized;
   }
 
+  /**
+   * Get badge showing where an owned item is kept
+   */
+  getOwnershipBadge(ownership) {
+    const badges = {
+      'stored': '<span class="ownership-icon" title="In storage chest">🗄️</span>',
+      'both': '<span class="ownership-icon" title="Carried and in storage chest">🎒🗄️</span>',
+      'manual': '<span class="ownership-icon" title="Marked owned manually">✍️</span>'
+    };
+    return badges[ownership] || '';
+  }
+
   /**
    * Get icon for item type
    */
@@ -277,6 +1263,133 @@ class UI {
     return icons[type] || icons['unknown'];
   }
 
+  /**
+   * Render side-by-side slot comparison
+   */
+  renderComparison(comparison) {
+    const { characters, regions, categories, differences } = comparison;
+    const section = this.elements.compareSection;
+
+    const headerCells = characters
+      .map(c => `<th>${this.sanitizer.escape(c.name)}<br><span class="counter">Slot ${c.slotIndex + 1}</span></th>`)
+      .join('');
+
+    const buildMatrix = (title, rows, statsKey) => `
+            <h3 class="compare-title">${title}</h3>
+            <div class="compare-table-wrapper">
+                <table class="compare-table">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td class="compare-label">${this.sanitizer.escape(row)}</td>
+                                ${characters.map(c => {
+                                  const stats = c.stats[statsKey][row] || { owned: 0, total: 0, percentage: 0 };
+                                  return `<td title="${stats.owned}/${stats.total}">${stats.percentage}%</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+    const overallRow = `
+            <div class="compare-table-wrapper">
+                <table class="compare-table">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>
+                        <tr>
+                            <td class="compare-label">Overall</td>
+                            ${characters.map(c => `<td>${c.stats.percentage}% <span class="counter">(${c.stats.owned}/${c.stats.total})</span></td>`).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+    // Group differences by region for readability
+    const groupedDifferences = {};
+    differences.forEach(difference => {
+      const region = difference.item.region;
+      if (!groupedDifferences[region]) {
+        groupedDifferences[region] = [];
+      }
+      groupedDifferences[region].push(difference);
+    });
+
+    const differenceTables = Object.entries(groupedDifferences).map(([region, entries]) => `
+            <details class="compare-differences">
+                <summary>${this.sanitizer.escape(region)} <span class="counter">(${entries.length})</span></summary>
+                <table class="compare-table">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>
+                        ${entries.map(({ item, ownedBy }) => `
+                            <tr>
+                                <td class="compare-label">${this.sanitizer.escape(item.name)} <span class="counter">${this.sanitizer.escape(item.subregion)}</span></td>
+                                ${ownedBy.map(owned => `<td class="${owned ? 'owned' : 'missing'}">${owned ? '✔' : '✘'}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `).join('');
+
+    section.innerHTML = `
+            <h3 class="compare-title">Slot Comparison</h3>
+            ${overallRow}
+            ${buildMatrix('By Region', regions, 'regions')}
+            ${buildMatrix('By Category', categories, 'categories')}
+            <h3 class="compare-title">Items Owned by Some Characters Only (${differences.length})</h3>
+            ${differenceTables || '<p class="counter">All characters own the same items.</p>'}
+        `;
+  }
+
+  /**
+   * Show comparison section
+   */
+  showComparison() {
+    this.elements.compareSection.classList.remove('hidden');
+    this.elements.compareSection.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /**
+   * Hide comparison section
+   */
+  hideComparison() {
+    this.elements.compareSection.classList.add('hidden');
+  }
+
+  /**
+   * Switch to read-only mode for shared progress
+   */
+  setReadOnly(shared) {
+    document.body.classList.add('read-only');
+    this.elements.sharedBanner.textContent =
+      `Viewing shared progress of ${shared.characterName} (read-only) · data ${shared.dataVersion}`;
+    this.elements.sharedBanner.classList.remove('hidden');
+  }
+
+  /**
+   * Warn when the storage chest could not be located in the save
+   * @param {boolean|null} storageFound - null when unknown (shared progress)
+   */
+  setStorageFound(storageFound) {
+    this.elements.storageBanner.classList.toggle('hidden', storageFound !== false);
+  }
+
+  /**
+   * Copy a share link to the clipboard, falling back to a prompt
+   */
+  async showShareLink(url) {
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Share link copied to clipboard');
+    } catch (error) {
+      prompt('Copy this share link:', url);
+    }
+  }
+
   /**
    * Show results section
    */
@@ -293,5 +1406,9 @@ class UI {
   }
 }
 
-// Export for use in other modules
-window.UI = UI;
+// Export for use in other modules (browser global or CommonJS for Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UI;
+} else {
+  window.UI = UI;
+}
@@ -0,0 +1,171 @@
+/**
+ * Virtual Grid Module
+ * Scrollable item grid that only keeps the rows in view in the DOM.
+ * Used for large subregions. Rows are positioned arithmetically, so the row
+ * height is measured from the tallest rendered card and every card is given
+ * at least that height (--virtual-card-height in styles.css).
+ * Call destroy() once the grid is no longer used.
+ */
+
+class VirtualGrid {
+  /**
+   * @param {Function} renderItem - (item) => HTMLElement
+   */
+  constructor(renderItem) {
+    this.renderItem = renderItem;
+    this.OVERSCAN = 2; // Rows rendered above and below the viewport
+
+    this.items = [];
+    this.columns = 1;
+    this.rowHeight = 0; // Tallest card + row gap, 0 until a card was measured
+    this.range = null;
+    this.frame = null;
+
+    this.element = document.createElement('div');
+    this.element.className = 'virtual-grid';
+
+    this.spacer = document.createElement('div');
+    this.spacer.className = 'virtual-grid-spacer';
+
+    this.grid = document.createElement('div');
+    this.grid.className = 'items-grid';
+
+    this.spacer.appendChild(this.grid);
+    this.element.appendChild(this.spacer);
+
+    this.element.addEventListener('scroll', () => this.scheduleUpdate());
+
+    // Column count changes with the grid width
+    this.observer = null;
+    if (typeof ResizeObserver !== 'undefined') {
+      this.observer = new ResizeObserver(() => {
+        this.range = null;
+        this.scheduleUpdate();
+      });
+      this.observer.observe(this.element);
+    }
+  }
+
+  /**
+   * Stop observing the grid and drop any pending update
+   */
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Replace the grid items and render the visible rows
+   */
+  setItems(items) {
+    this.items = items;
+    this.range = null;
+    this.element.scrollTop = 0;
+    this.update();
+  }
+
+  /**
+   * Update on the next animation frame (coalesces scroll events)
+   */
+  scheduleUpdate() {
+    if (this.frame !== null) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Count the cards that fit in one row, from a rendered card
+   */
+  measureColumns() {
+    const card = this.grid.firstElementChild;
+    const width = this.grid.clientWidth;
+    if (!card || !width) return this.columns;
+
+    const gap = parseFloat(getComputedStyle(this.grid).columnGap) || 0;
+    return Math.max(1, Math.floor((width + gap) / (card.offsetWidth + gap)));
+  }
+
+  /**
+   * Use a new row height and stretch every card to it
+   */
+  setRowHeight(rowHeight) {
+    if (rowHeight === this.rowHeight) return;
+
+    const gap = parseFloat(getComputedStyle(this.grid).rowGap) || 0;
+    this.rowHeight = rowHeight;
+    this.element.style.setProperty('--virtual-card-height', `${rowHeight - gap}px`);
+  }
+
+  /**
+   * Measure the row height from the tallest rendered card
+   * Only grows, so rows already laid out never overlap
+   */
+  measureRowHeight() {
+    let tallest = 0;
+    for (const card of this.grid.children) {
+      tallest = Math.max(tallest, card.offsetHeight);
+    }
+    if (!tallest) return this.rowHeight;
+
+    const gap = parseFloat(getComputedStyle(this.grid).rowGap) || 0;
+    return Math.max(this.rowHeight, tallest + gap);
+  }
+
+  /**
+   * Render the rows intersecting the viewport
+   */
+  update() {
+    // Row height is unknown until a card was laid out (e.g. while collapsed)
+    if (!this.rowHeight) {
+      if (this.items.length === 0) return;
+      this.grid.replaceChildren(this.renderItem(this.items[0]));
+      this.setRowHeight(this.measureRowHeight());
+      if (!this.rowHeight) return;
+      this.range = null;
+    }
+
+    const rows = Math.ceil(this.items.length / this.columns);
+    const scrollTop = this.element.scrollTop;
+    const viewport = this.element.clientHeight || window.innerHeight;
+
+    const firstRow = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.OVERSCAN);
+    const lastRow = Math.min(rows, Math.ceil((scrollTop + viewport) / this.rowHeight) + this.OVERSCAN);
+    const start = firstRow * this.columns;
+    const end = Math.min(this.items.length, lastRow * this.columns);
+
+    this.spacer.style.height = `${rows * this.rowHeight}px`;
+
+    if (this.range && this.range.start === start && this.range.end === end) return;
+    this.range = { start, end };
+
+    const fragment = document.createDocumentFragment();
+    this.items.slice(start, end).forEach(item => {
+      fragment.appendChild(this.renderItem(item));
+    });
+    this.grid.replaceChildren(fragment);
+    this.grid.style.transform = `translateY(${firstRow * this.rowHeight}px)`;
+
+    // First render assumes one column; re-render once the real count is known.
+    // A taller card raises the height of every row, so re-render then as well
+    const columns = this.measureColumns();
+    const rowHeight = this.measureRowHeight();
+    if (columns !== this.columns || rowHeight !== this.rowHeight) {
+      this.columns = columns;
+      this.setRowHeight(rowHeight);
+      this.range = null;
+      this.update();
+    }
+  }
+}
+
+// Export for use in other modules
+window.VirtualGrid = VirtualGrid;
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Data Version Generator
+ * Hashes the JSON files in assets/json into assets/json/version.json. The app
+ * and the service worker compare this version to drop cached data after an update,
+ * so run it whenever a data file changes.
+ *
+ * Usage:
+ *   node bin/data-version.js [--check]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const JSON_DIR = path.resolve(__dirname, '..', 'assets', 'json');
+const VERSION_FILE = path.join(JSON_DIR, 'version.json');
+
+const USAGE = `Usage:
+  data-version [--check]
+
+Options:
+  --check   Only compare; exit with 1 when version.json is out of date
+`;
+
+/**
+ * Hash every data file (sorted by name, version.json excluded)
+ * @returns {string} - First 12 hex digits of the SHA-256
+ */
+function computeDataVersion() {
+  const hash = crypto.createHash('sha256');
+
+  fs.readdirSync(JSON_DIR)
+    .filter(file => file.endsWith('.json') && file !== path.basename(VERSION_FILE))
+    .sort()
+    .forEach(file => {
+      hash.update(file);
+      hash.update(fs.readFileSync(path.join(JSON_DIR, file)));
+    });
+
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Read the version currently recorded in version.json
+ * @returns {string|null}
+ */
+function readDataVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(VERSION_FILE, 'utf8')).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Entry point
+ */
+function main(argv) {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const unknown = argv.filter(arg => arg !== '--check');
+  if (unknown.length > 0) {
+    process.stderr.write(`Unknown option: ${unknown[0]}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const version = computeDataVersion();
+  const recorded = readDataVersion();
+
+  if (argv.includes('--check')) {
+    if (version !== recorded) {
+      process.stderr.write(`version.json is out of date (${recorded || 'missing'}, expected ${version})\n`);
+      return 1;
+    }
+    process.stdout.write(`Data version ${version} is up to date\n`);
+    return 0;
+  }
+
+  fs.writeFileSync(VERSION_FILE, `${JSON.stringify({ version }, null, 2)}\n`);
+  process.stdout.write(`Data version ${version}\n`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+} else {
+  module.exports = { computeDataVersion, readDataVersion };
+}
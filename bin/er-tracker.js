@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Headless Command Line Interface
+ * Analyzes a save file with the same core modules as the web app
+ *
+ * Usage:
+ *   node bin/er-tracker.js slots <save>
+ *   node bin/er-tracker.js analyze <save> [--slot N] [--dlc | --no-dlc]
+ *                                  [--format table|json|csv] [--missing-only | --missable]
+ *                                  [--region NAME] [--category NAME] [--extra-columns]
+ *                                  [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TrackerCore = require('../assets/js/tracker.js');
+const Exporter = require('../assets/js/exporter.js');
+
+const USAGE = `Usage:
+  node bin/er-tracker.js slots <save>
+  node bin/er-tracker.js analyze <save> [options]
+
+Options:
+  --slot N          Character slot, 1-10 (default: first non-empty slot)
+  --dlc, --no-dlc   Include Shadow of the Erdtree items (default: included)
+  --format FORMAT   table, json or csv (default: table)
+  --missing-only    Only list items that are not owned
+  --missable        Only list missing items that can be locked out,
+                    soonest lockout first
+  --region NAME     Only list items from one region
+  --category NAME   Only list items from one category (e.g. "Talismans")
+                    or subcategory (e.g. "Weapons/Katanas")
+  --extra-columns   Add subcategory and content columns to CSV output
+  --verbose         Print analysis progress logs to stderr
+`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    command: argv[0],
+    file: argv[1],
+    slot: null,
+    includeDLC: true,
+    format: 'table',
+    missingOnly: false,
+    missable: false,
+    region: null,
+    category: 'all',
+    extraColumns: false,
+    verbose: false
+  };
+
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--slot':
+        args.slot = parseInt(argv[++i], 10);
+        break;
+      case '--dlc':
+        args.includeDLC = true;
+        break;
+      case '--no-dlc':
+        args.includeDLC = false;
+        break;
+      case '--format':
+        args.format = argv[++i];
+        break;
+      case '--missing-only':
+        args.missingOnly = true;
+        break;
+      case '--missable':
+        args.missable = true;
+        break;
+      case '--region':
+        args.region = argv[++i];
+        break;
+      case '--category':
+        args.category = argv[++i];
+        break;
+      case '--extra-columns':
+        args.extraColumns = true;
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!['table', 'json', 'csv'].includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format}`);
+  }
+  if (args.slot !== null && !(args.slot >= 1 && args.slot <= 10)) {
+    throw new Error('--slot must be between 1 and 10');
+  }
+
+  return args;
+}
+
+/**
+ * Read a save file as ArrayBuffer
+ */
+function readSaveFile(file) {
+  const buffer = fs.readFileSync(path.resolve(file));
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+/**
+ * Format playtime seconds as "12h 34m"
+ */
+function formatPlaytime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+}
+
+/**
+ * List character slots
+ */
+async function listSlots(tracker, fileData) {
+  const result = await tracker.getSlotNames(fileData);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  result.names.forEach((name, index) => {
+    const character = result.characters[index];
+    const details = character
+      ? `${name} - Lv ${character.level}, ${formatPlaytime(character.playtime)}`
+      : '(empty)';
+    process.stdout.write(`Slot ${String(index + 1).padStart(2)}: ${details}\n`);
+  });
+}
+
+/**
+ * Render grouped items as a plain text report
+ */
+function renderTable(tracker, items, slotIndex) {
+  const { stats, character, characterName } = tracker;
+  const lines = [
+    `Character:  ${characterName} (Slot ${slotIndex + 1})` +
+      (character ? ` - Lv ${character.level}, ${formatPlaytime(character.playtime)}` : ''),
+    `Completion: ${stats.percentage}% (${stats.owned} / ${stats.total} items)`
+  ];
+
+  const { base, dlc } = stats.content;
+  if (dlc.total > 0) {
+    lines.push(`            Base ${base.percentage}% (${base.owned} / ${base.total}), ` +
+      `Shadow of the Erdtree ${dlc.percentage}% (${dlc.owned} / ${dlc.total})`);
+  }
+  lines.push(`Listed:     ${items.length} items`);
+
+  const grouped = tracker.groupByRegion(items);
+
+  for (const [region, subregions] of Object.entries(grouped)) {
+    const regionItems = Object.values(subregions).flat();
+    const regionOwned = regionItems.filter(item => item.owned).length;
+    lines.push('', `${region} (${regionOwned}/${regionItems.length})`);
+
+    for (const [subregion, subItems] of Object.entries(subregions)) {
+      const subOwned = subItems.filter(item => item.owned).length;
+      lines.push(`  ${subregion} (${subOwned}/${subItems.length})`);
+
+      subItems.forEach(item => {
+        lines.push(`    [${item.owned ? 'x' : ' '}] ${item.name}  <${item.type}>`);
+      });
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Analyze one slot and print the report
+ */
+async function analyze(tracker, fileData, args) {
+  const slots = await tracker.getSlotNames(fileData);
+  if (!slots.success) {
+    throw new Error(slots.error);
+  }
+
+  const slotIndex = args.slot !== null
+    ? args.slot - 1
+    : slots.names.findIndex(name => name !== '');
+
+  if (slotIndex === -1) {
+    throw new Error('No characters found in save file');
+  }
+  if (slots.names[slotIndex] === '') {
+    throw new Error(`Slot ${slotIndex + 1} is empty`);
+  }
+
+  await tracker.processSaveFile(fileData, slotIndex, { includeDLC: args.includeDLC });
+  if (!tracker.storageFound) {
+    process.stderr.write('Warning: storage chest not found, only carried items are counted\n');
+  }
+
+  const criteria = {
+    status: args.missable ? 'missable' : args.missingOnly ? 'missing' : 'all',
+    region: args.region,
+    category: args.category
+  };
+
+  if (args.format === 'table') {
+    process.stdout.write(renderTable(tracker, tracker.filterItems(criteria), slotIndex));
+  } else {
+    process.stdout.write(new Exporter(tracker).serialize(args.format, criteria, { extraColumns: args.extraColumns }));
+  }
+}
+
+/**
+ * Logger for the core modules: progress on stderr when verbose, warnings always
+ */
+function createLogger(verbose) {
+  const toStderr = (...messages) => console.error(...messages);
+  return { log: verbose ? toStderr : () => {}, warn: toStderr };
+}
+
+/**
+ * Entry point
+ */
+async function main(argv) {
+  if (argv.length < 2 || argv.includes('--help') || argv.includes('-h')) {
+    process.stdout.write(USAGE);
+    return argv.length < 2 ? 2 : 0;
+  }
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    // Keep stdout for the report: progress goes to stderr, and only with --verbose
+    const tracker = new TrackerCore({ logger: createLogger(args.verbose) });
+    const fileData = readSaveFile(args.file);
+
+    if (args.command === 'slots') {
+      await listSlots(tracker, fileData);
+    } else if (args.command === 'analyze') {
+      await analyze(tracker, fileData, args);
+    } else {
+      process.stderr.write(`Unknown command: ${args.command}\n\n${USAGE}`);
+      return 2;
+    }
+    return 0;
+
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+// Stop quietly when piped into a command that exits early (e.g. head)
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+/**
+ * Data Integrity Validator
+ * Checks data.json, dlcData.json, collectibles.json, categories.json, quests.json,
+ * milestones.json, achievements.json and version.json,
+ * loaded through DataLoader like the app does. Exits with 1 when errors are
+ * found, so it can run as a test step.
+ *
+ * Usage:
+ *   node bin/validate-data.js [--strict] [--quiet]
+ *
+ * Errors:   duplicate IDs (unless every copy is marked `multiple`), unknown
+ *           acquisition types, IDs outside every category range, malformed
+ *           hint HTML, invalid collectibles, invalid category ranges, quest steps
+ *           without rewards or with unknown item IDs or boss names, missableAfter
+ *           without a known milestone or a note, milestones without a boss,
+ *           achievements requiring unknown item IDs, a version.json out of date
+ *           with the data (run bin/data-version.js)
+ * Warnings: missing item images, entries without the `multiple` field, IDs listed
+ *           in several subregions that are all marked `multiple`
+ *           (--strict turns warnings into errors)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TrackerCore = require('../assets/js/tracker.js');
+const UI = require('../assets/js/ui.js');
+const HtmlSanitizer = require('../assets/js/htmlSanitizer.js');
+const { computeDataVersion, readDataVersion } = require('./data-version.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const ITEM_IMAGE_DIR = path.join(ROOT, 'assets', 'img', 'items');
+const HINT_ICON_DIR = path.join(ROOT, 'assets', 'img', 'hints');
+
+// Tags hints may use: the sanitizer allow-list plus the <ul> wrapper it unwraps
+const HINT_TAGS = new Set([...Object.keys(new HtmlSanitizer().ALLOWED_TAGS), 'UL']);
+const HINT_ATTRIBUTES = { A: ['href'] };
+const VOID_TAGS = new Set(['BR']);
+
+const USAGE = `Usage:
+  validate-data [--strict] [--quiet]
+
+Options:
+  --strict   Treat warnings (missing images, missing fields) as errors
+  --quiet    Only print the summary
+`;
+
+/**
+ * Collects issues grouped by check
+ */
+class Report {
+  constructor() {
+    this.checks = {};
+  }
+
+  add(check, severity, message) {
+    if (!this.checks[check]) {
+      this.checks[check] = { severity, messages: [] };
+    }
+    this.checks[check].messages.push(message);
+  }
+
+  count(severity) {
+    return Object.values(this.checks)
+      .filter(check => check.severity === severity)
+      .reduce((sum, check) => sum + check.messages.length, 0);
+  }
+}
+
+/**
+ * Flatten location data into entries with their position
+ * @returns {Object[]} - [{ file, region, subregion, id, item }]
+ */
+function flattenLocations(file, data) {
+  const entries = [];
+
+  for (const [region, subregions] of Object.entries(data)) {
+    for (const [subregion, items] of Object.entries(subregions)) {
+      for (const [id, item] of Object.entries(items)) {
+        entries.push({ file, region, subregion, id, item });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Describe where an entry is defined
+ */
+function describe(entry) {
+  return `${entry.file} › ${entry.region} › ${entry.subregion} › ${entry.id} (${entry.item.name})`;
+}
+
+/**
+ * Find problems in hint markup
+ * @returns {string[]} - Problem descriptions (empty when well-formed)
+ */
+function findHintProblems(hint) {
+  if (typeof hint !== 'string') {
+    return ['hint is not a string'];
+  }
+
+  const problems = [];
+  const open = [];
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^<>]*)>/g;
+
+  let match;
+  while ((match = tagPattern.exec(hint)) !== null) {
+    const [, closing, name, rest] = match;
+    const tag = name.toUpperCase();
+
+    if (!HINT_TAGS.has(tag)) {
+      problems.push(`<${name.toLowerCase()}> is not allowed`);
+    }
+
+    if (closing) {
+      if (open.length > 0 && open[open.length - 1] === tag) {
+        open.pop();
+      } else {
+        problems.push(`unexpected </${name.toLowerCase()}>`);
+      }
+      continue;
+    }
+
+    const attributes = [...rest.matchAll(/([a-zA-Z-]+)\s*=/g)].map(attr => attr[1].toLowerCase());
+    attributes
+      .filter(attr => !(HINT_ATTRIBUTES[tag] || []).includes(attr))
+      .forEach(attr => problems.push(`attribute "${attr}" on <${name.toLowerCase()}> is not allowed`));
+
+    if (!VOID_TAGS.has(tag) && !rest.trim().endsWith('/')) {
+      open.push(tag);
+    }
+  }
+
+  open.forEach(tag => problems.push(`<${tag.toLowerCase()}> is never closed`));
+
+  // Angle brackets left after removing tags are unterminated tags or unescaped text
+  if (/[<>]/.test(hint.replace(tagPattern, ''))) {
+    problems.push('stray "<" or ">" (unterminated tag or unescaped text)');
+  }
+
+  return problems;
+}
+
+/**
+ * Check location entries of base game and DLC data
+ */
+function checkLocations(report, entries, context) {
+  const { tracker, normalizeItemName, images, icons, milestoneIds } = context;
+  const byId = new Map();
+
+  entries.forEach(entry => {
+    const { item } = entry;
+
+    if (!byId.has(entry.id)) byId.set(entry.id, []);
+    byId.get(entry.id).push(entry);
+
+    if (!icons.has(item.type)) {
+      report.add('Unknown acquisition types', 'error',
+        `${describe(entry)}: type "${item.type}" has no icon in assets/img/hints`);
+    }
+
+    if (tracker.determineCategory(entry.id) === 'Other') {
+      report.add('IDs outside every category range', 'error', describe(entry));
+    }
+
+    if (item.missableAfter !== undefined) {
+      const { milestone, note } = item.missableAfter || {};
+      if (milestone !== undefined ? !milestoneIds.has(milestone) : typeof note !== 'string' || note === '') {
+        report.add('Invalid missableAfter', 'error',
+          `${describe(entry)}: needs a milestone from milestones.json or a note`);
+      }
+    }
+
+    findHintProblems(item.hint).forEach(problem => {
+      report.add('Malformed hint HTML', 'error', `${describe(entry)}: ${problem}`);
+    });
+
+    // Bell Bearings without their own image fall back to a shared one in the UI
+    const imageName = normalizeItemName(item.name);
+    if (!images.has(imageName) && !item.name.includes('Bell Bearing')) {
+      report.add('Missing item images', 'warning', `${describe(entry)}: ${imageName}.webp`);
+    }
+
+    if (typeof item.multiple !== 'boolean') {
+      report.add('Missing "multiple" field', 'warning', describe(entry));
+    }
+  });
+
+  // Items listed in several places stay errors until every copy is reviewed and
+  // marked `multiple: true`; marked ones are still reported, as warnings
+  byId.forEach((occurrences, id) => {
+    if (occurrences.length === 1) return;
+
+    const places = occurrences.map(e => `${e.file} › ${e.region} › ${e.subregion}`).join('; ');
+    const message = `${id} (${occurrences[0].item.name}) appears ${occurrences.length}×: ${places}`;
+    if (occurrences.every(e => e.item.multiple === true)) {
+      report.add('IDs in several subregions', 'warning', message);
+    } else {
+      report.add('Duplicate IDs', 'error', message);
+    }
+  });
+}
+
+/**
+ * Check collectible counter definitions
+ */
+function checkCollectibles(report, collectibles) {
+  const names = new Set();
+
+  collectibles.forEach((collectible, index) => {
+    const label = `collectibles.json › #${index} (${collectible.name})`;
+
+    if (typeof collectible.name !== 'string' || collectible.name === '') {
+      report.add('Invalid collectibles', 'error', `${label}: missing name`);
+    } else if (names.has(collectible.name)) {
+      report.add('Invalid collectibles', 'error', `${label}: duplicate name`);
+    }
+    names.add(collectible.name);
+
+    const validId = Array.isArray(collectible.id) && collectible.id.length === 3 &&
+      collectible.id.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 0xFF);
+    if (!validId) {
+      report.add('Invalid collectibles', 'error', `${label}: id must be three bytes`);
+    }
+
+    if (!Array.isArray(collectible.places) || collectible.places.length === 0) {
+      report.add('Invalid collectibles', 'error', `${label}: places must be a non-empty list`);
+    }
+  });
+}
+
+/**
+ * Check category table ranges
+ */
+function checkCategories(report, categories) {
+  const isHexId = value => typeof value === 'string' && /^[0-9A-F]{8}$/i.test(value);
+
+  const checkRanges = (label, ranges) => {
+    (ranges || []).forEach(range => {
+      const valid = Array.isArray(range) && range.length === 2 && range.every(isHexId) &&
+        parseInt(range[0], 16) <= parseInt(range[1], 16);
+      if (!valid) {
+        report.add('Invalid category ranges', 'error', `${label}: ${JSON.stringify(range)}`);
+      }
+    });
+  };
+
+  categories.forEach(category => {
+    const label = `categories.json › ${category.name}`;
+    if (!Array.isArray(category.ranges) || category.ranges.length === 0) {
+      report.add('Invalid category ranges', 'error', `${label}: ranges must be a non-empty list`);
+    }
+    checkRanges(label, category.ranges);
+
+    (category.subcategories || []).forEach(subcategory => {
+      const subLabel = `${label} › ${subcategory.name}`;
+      if (subcategory.slot === undefined && !Array.isArray(subcategory.ranges)) {
+        report.add('Invalid category ranges', 'error', `${subLabel}: needs ranges or a slot`);
+      }
+      checkRanges(subLabel, subcategory.ranges);
+    });
+  });
+}
+
+/**
+ * Check that every milestone has an id and names the boss whose defeat it is
+ */
+function checkMilestones(report, milestones) {
+  milestones.forEach((milestone, index) => {
+    if (!milestone.id || typeof milestone.boss !== 'string' || milestone.boss === '') {
+      report.add('Invalid milestones', 'error',
+        `milestones.json › #${index} (${milestone.name}): needs an id and a boss`);
+    }
+  });
+}
+
+/**
+ * Check questline steps: each needs reward IDs, all catalogued; lockout bosses must be milestones
+ */
+function checkQuests(report, quests, itemIds, bossNames) {
+  quests.questlines.forEach(questline => {
+    questline.steps.forEach((step, index) => {
+      const label = `quests.json › ${questline.npc} › step ${index + 1}`;
+
+      step.items
+        .filter(id => !itemIds.has(id))
+        .forEach(id => report.add('Invalid quest steps', 'error', `${label}: unknown item ${id}`));
+
+      const boss = step.missableAfter && step.missableAfter.boss;
+      if (boss && !bossNames.has(boss)) {
+        report.add('Invalid quest steps', 'error', `${label}: boss "${boss}" is not a milestone`);
+      }
+
+      if (step.items.length === 0) {
+        report.add('Invalid quest steps', 'error', `${label}: needs reward items`);
+      }
+    });
+  });
+}
+
+/**
+ * Check that every item an achievement requires is catalogued
+ */
+function checkAchievements(report, achievements, itemIds) {
+  achievements.forEach(achievement => {
+    const label = `achievements.json › ${achievement.name}`;
+
+    if (!Array.isArray(achievement.items) || achievement.items.length === 0) {
+      report.add('Invalid achievements', 'error', `${label}: items must be a non-empty list`);
+      return;
+    }
+
+    achievement.items
+      .filter(id => !itemIds.has(id))
+      .forEach(id => report.add('Invalid achievements', 'error', `${label}: unknown item ${id}`));
+  });
+}
+
+/**
+ * Check that version.json matches the data files, so cached data is refreshed
+ */
+function checkDataVersion(report) {
+  const expected = computeDataVersion();
+  const recorded = readDataVersion();
+
+  if (recorded !== expected) {
+    report.add('Stale data version', 'error',
+      `version.json is ${recorded || 'missing'}, data hashes to ${expected}: run node bin/data-version.js`);
+  }
+}
+
+/**
+ * List file names without extension
+ */
+function listNames(directory, extension) {
+  return new Set(fs.readdirSync(directory)
+    .filter(file => file.endsWith(extension))
+    .map(file => file.slice(0, -extension.length)));
+}
+
+/**
+ * Print grouped issues and a summary
+ */
+function printReport(report, quiet) {
+  if (!quiet) {
+    for (const [check, { severity, messages }] of Object.entries(report.checks)) {
+      process.stdout.write(`\n${check} (${messages.length} ${severity}${messages.length === 1 ? '' : 's'})\n`);
+      messages.forEach(message => process.stdout.write(`  - ${message}\n`));
+    }
+  }
+
+  process.stdout.write(`\n${report.count('error')} errors, ${report.count('warning')} warnings\n`);
+}
+
+/**
+ * Entry point
+ */
+async function main(argv) {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const unknown = argv.filter(arg => !['--strict', '--quiet'].includes(arg));
+  if (unknown.length > 0) {
+    process.stderr.write(`Unknown option: ${unknown[0]}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const strict = argv.includes('--strict');
+  const quiet = argv.includes('--quiet');
+
+  try {
+    // Keep stdout for the report: drop load progress, warnings go to stderr
+    const logger = { log: () => {}, warn: (...messages) => console.error(...messages) };
+    const tracker = new TrackerCore({ logger });
+    const loader = tracker.dataLoader;
+    await loader.loadAll({ includeDLC: true, includeCollectibles: true });
+
+    const report = new Report();
+    const entries = [
+      ...flattenLocations('data.json', loader.cache.locationData),
+      ...flattenLocations('dlcData.json', loader.cache.dlcData)
+    ];
+
+    const milestones = loader.cache.milestones.milestones;
+    const bossNames = new Set(milestones.map(milestone => milestone.boss));
+
+    checkCategories(report, loader.cache.categories.categories);
+    checkMilestones(report, milestones);
+    checkLocations(report, entries, {
+      tracker,
+      normalizeItemName: UI.prototype.normalizeItemName,
+      images: listNames(ITEM_IMAGE_DIR, '.webp'),
+      icons: listNames(HINT_ICON_DIR, '.png'),
+      milestoneIds: new Set(milestones.map(milestone => milestone.id))
+    });
+    checkCollectibles(report, loader.cache.collectibles);
+    const itemIds = new Set(entries.map(entry => entry.id));
+    checkQuests(report, loader.cache.quests, itemIds, bossNames);
+    checkAchievements(report, loader.cache.achievements.achievements, itemIds);
+    checkDataVersion(report);
+
+    printReport(report, quiet);
+
+    const failures = report.count('error') + (strict ? report.count('warning') : 0);
+    return failures > 0 ? 1 : 0;
+
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+// Stop quietly when piped into a command that exits early (e.g. head)
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,243 @@
+/**
+ * Service Worker
+ * Makes the tracker installable and usable offline:
+ * - the app shell (HTML, CSS, JS, font, icons) and the JSON data are precached on install
+ * - item and wallpaper images are cached the first time they are shown
+ * - assets/json/version.json is always asked from the network first, and before
+ *   serving the page; when the data version changed, the shell is fetched again and
+ *   the cached JSON is dropped, so a page opened after an update gets scripts and data
+ *   from the same update
+ */
+
+const SHELL_CACHE = 'er-tracker-shell-v1';
+const DATA_CACHE = 'er-tracker-data';
+const IMAGE_CACHE = 'er-tracker-images';
+const CACHES = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+const VERSION_URL = 'assets/json/version.json';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'assets/css/styles.css',
+  'assets/Mantinia Regular.otf',
+  'assets/img/logo.png',
+  'assets/img/icon-192.png',
+  'assets/img/icon-512.png',
+  'assets/img/hints/boss.png',
+  'assets/img/hints/chest.png',
+  'assets/img/hints/foe.png',
+  'assets/img/hints/invader.png',
+  'assets/img/hints/merchant.png',
+  'assets/img/hints/quest.png',
+  'assets/img/hints/scarab.png',
+  'assets/js/wallpaper.js',
+  'assets/js/binaryParser.js',
+  'assets/js/parserClient.js',
+  'assets/js/parserWorker.js',
+  'assets/js/dataLoader.js',
+  'assets/js/overrideStore.js',
+  'assets/js/routeStore.js',
+  'assets/js/tracker.js',
+  'assets/js/snapshotStore.js',
+  'assets/js/exporter.js',
+  'assets/js/shareLink.js',
+  'assets/js/htmlSanitizer.js',
+  'assets/js/virtualGrid.js',
+  'assets/js/ui.js',
+  'assets/js/main.js'
+];
+
+const DATA_FILES = [
+  VERSION_URL,
+  'assets/json/data.json',
+  'assets/json/dlcData.json',
+  'assets/json/collectibles.json',
+  'assets/json/categories.json',
+  'assets/json/quests.json',
+  'assets/json/milestones.json',
+  'assets/json/achievements.json'
+];
+
+/**
+ * Resolve a path relative to the service worker scope
+ */
+function scoped(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Read the data version from a version.json response
+ * @returns {Promise<string|null>}
+ */
+async function readVersion(response) {
+  if (!response) {
+    return null;
+  }
+
+  try {
+    const { version } = await response.clone().json();
+    return version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch the shell again, past the HTTP cache. Throws when a file is unavailable,
+ * leaving the shell cache as it was
+ */
+async function refreshShell() {
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.addAll(SHELL_FILES.map(path => new Request(scoped(path), { cache: 'reload' })));
+}
+
+/**
+ * Ask the network for version.json and store it; a new version refreshes the shell
+ * and empties the data cache before the response reaches the page, so the reloads
+ * that follow miss the cache. When the shell cannot be refreshed, the error is
+ * thrown and the cached version, shell and data are kept together
+ * @returns {Promise<Response>}
+ */
+async function syncVersion(request) {
+  const response = await fetch(request, { cache: 'no-store' });
+  if (!response.ok) {
+    return response;
+  }
+
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(scoped(VERSION_URL), { ignoreSearch: true });
+
+  const [current, previous] = await Promise.all([readVersion(response), readVersion(cached)]);
+  if (current !== previous) {
+    await refreshShell();
+    await caches.delete(DATA_CACHE);
+  }
+
+  const fresh = await caches.open(DATA_CACHE);
+  await fresh.put(scoped(VERSION_URL), response.clone());
+  return response;
+}
+
+/**
+ * Network first for version.json, falling back to the cached version offline
+ */
+async function handleVersion(request) {
+  let response;
+  let failure;
+  try {
+    response = await syncVersion(request);
+  } catch (error) {
+    failure = error;
+  }
+
+  if (response && response.ok) {
+    return response;
+  }
+
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+  if (response) {
+    return response;
+  }
+  throw failure;
+}
+
+/**
+ * Check the data version before serving the page, so an update never runs the
+ * previous scripts against the new data. Offline, the cached shell is served as is
+ */
+async function handleNavigation(event) {
+  try {
+    await syncVersion(new Request(scoped(VERSION_URL)));
+  } catch (error) {
+    // Offline or shell unavailable: keep the cached version
+  }
+
+  return staleWhileRevalidate(event, SHELL_CACHE);
+}
+
+/**
+ * Cache first: serve from cacheName, or fetch and store successful responses
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Stale while revalidate: answer from the cache and refresh it in the background
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+
+  const refresh = fetch(event.request).then(async response => {
+    if (response.ok) {
+      await cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+
+  return refresh;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const [shell, data] = await Promise.all([caches.open(SHELL_CACHE), caches.open(DATA_CACHE)]);
+    await Promise.all([
+      shell.addAll(SHELL_FILES.map(scoped)),
+      data.addAll(DATA_FILES.map(scoped))
+    ]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('er-tracker-') && !CACHES.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (url.href.split('?')[0] === scoped(VERSION_URL)) {
+    event.respondWith(handleVersion(request));
+  } else if (url.pathname.includes('/assets/json/')) {
+    event.respondWith(cacheFirst(request, DATA_CACHE));
+  } else if (url.pathname.includes('/assets/img/items/') || url.pathname.includes('/assets/wallpaper/')) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,102 @@
+/**
+ * BinaryParser tests against synthetic saves (see helpers/saveBuilder.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const BinaryParser = require('../assets/js/binaryParser.js');
+const { buildSave } = require('./helpers/saveBuilder.js');
+
+const MEMORY_STONE = '4000272E';
+const WHISTLE = '40000082'; // Spectral Steed Whistle
+const DAGGER = '000F4240';
+
+for (const dlc of [false, true]) {
+  const format = dlc ? 'DLC' : 'normal';
+
+  test(`reads IDs and stack sizes from ${format} records`, () => {
+    const save = buildSave({
+      dlc,
+      inventory: [
+        { id: MEMORY_STONE, quantity: 7 },
+        { id: DAGGER, quantity: 1 },
+        { id: WHISTLE, quantity: 1 }
+      ]
+    });
+    const result = new BinaryParser().parseInventory(save, 0);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.isDlc, dlc);
+    assert.strictEqual(result.characterName, 'Tester');
+    assert.deepStrictEqual(result.ids, [MEMORY_STONE, DAGGER, WHISTLE]);
+    assert.deepStrictEqual(result.quantities, { [MEMORY_STONE]: 7, [DAGGER]: 1, [WHISTLE]: 1 });
+  });
+
+  test(`sums stacks of the same ID in ${format} records`, () => {
+    const save = buildSave({
+      dlc,
+      inventory: [
+        { id: MEMORY_STONE, quantity: 2 },
+        { id: MEMORY_STONE, quantity: 5 }
+      ]
+    });
+    const result = new BinaryParser().parseInventory(save, 0);
+
+    assert.deepStrictEqual(result.quantities, { [MEMORY_STONE]: 7 });
+  });
+}
+
+for (const dlc of [false, true]) {
+  const format = dlc ? 'DLC' : 'normal';
+
+  test(`reads the storage chest after the ${format} inventory`, () => {
+    const save = buildSave({
+      dlc,
+      inventory: [{ id: MEMORY_STONE, quantity: 2 }],
+      storage: [{ id: MEMORY_STONE, quantity: 3 }, { id: DAGGER, quantity: 1 }]
+    });
+    const result = new BinaryParser().parseInventory(save, 0);
+
+    assert.strictEqual(result.storageFound, true);
+    assert.deepStrictEqual(result.storageIds, [MEMORY_STONE, DAGGER]);
+    assert.deepStrictEqual(result.storageQuantities, { [MEMORY_STONE]: 3, [DAGGER]: 1 });
+    assert.deepStrictEqual(result.quantities, { [MEMORY_STONE]: 2 });
+  });
+
+  test(`reports a ${format} save without a storage chest`, () => {
+    const save = buildSave({ dlc, inventory: [{ id: MEMORY_STONE, quantity: 2 }] });
+    const result = new BinaryParser().parseInventory(save, 0);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.storageFound, false);
+    assert.deepStrictEqual(result.storageIds, []);
+  });
+}
+
+test('ignores a storage section whose records do not look like items', () => {
+  const save = buildSave({
+    inventory: [{ id: DAGGER, quantity: 1 }],
+    storage: [{ id: 'F0000001', quantity: 1 }]
+  });
+  const result = new BinaryParser().parseInventory(save, 0);
+
+  assert.strictEqual(result.storageFound, false);
+});
+
+test('rejects files without the BND4 signature', () => {
+  const save = buildSave();
+  new Uint8Array(save)[0] = 0;
+
+  const result = new BinaryParser().parseInventory(save, 0);
+  assert.strictEqual(result.success, false);
+});
+
+test('fails when the slot has no inventory section', () => {
+  const save = new ArrayBuffer(0x1903400);
+  new Uint8Array(save).set([0x42, 0x4E, 0x44, 0x34]);
+
+  const result = new BinaryParser().parseInventory(save, 0);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /inventory/);
+});
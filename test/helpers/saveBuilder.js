@@ -0,0 +1,65 @@
+/**
+ * Synthetic Save Builder
+ * Writes the parts of an ER0000.sl2 the parser reads: the BND4 signature, a
+ * profile summary name and an inventory section (plus an optional storage
+ * chest) in the first character slot. Everything else is left zeroed.
+ */
+
+const FILE_SIZE = 0x1903400; // Past the last profile summary
+const SLOT_OFFSET = 0x310;
+const SUMMARY_OFFSET = 0x1901d0e;
+
+const PATTERN_NORMAL = [0xB0, 0xAD, 0x01, 0x00, 0x01, 0xFF, 0xFF, 0xFF];
+const PATTERN_DLC = [0xB0, 0xAD, 0x01, 0x00, 0x01];
+
+/**
+ * Write an inventory section (header, padding and records) at an offset
+ * @returns {number} - Offset just past the last record
+ */
+function writeSection(view, offset, records, dlc) {
+  const header = dlc ? PATTERN_DLC : PATTERN_NORMAL;
+  header.forEach((byte, index) => view.setUint8(offset + index, byte));
+  offset += header.length + (dlc ? 3 : 8);
+
+  const size = dlc ? 8 : 16;
+  records.forEach(record => {
+    view.setUint32(offset, parseInt(record.id, 16), true);
+    view.setUint32(offset + 4, record.quantity ?? 1, true);
+    if (!dlc) {
+      // Filler for the fields the parser skips, so records are not all zeros
+      view.setUint32(offset + 8, 1, true);
+      view.setUint32(offset + 12, 1, true);
+    }
+    offset += size;
+  });
+
+  return offset;
+}
+
+/**
+ * Build a save file with one character
+ * @param {Object} options - { name, dlc, inventory: [{ id, quantity }], storage: [{ id, quantity }] | null }
+ * @returns {ArrayBuffer}
+ */
+function buildSave(options = {}) {
+  const { name = 'Tester', dlc = false, inventory = [], storage = null } = options;
+  const buffer = new ArrayBuffer(FILE_SIZE);
+  const view = new DataView(buffer);
+
+  [0x42, 0x4E, 0x44, 0x34].forEach((byte, index) => view.setUint8(index, byte)); // "BND4"
+
+  // Profile summary name: UTF-16LE, ASCII only
+  for (let i = 0; i < name.length; i++) {
+    view.setUint16(SUMMARY_OFFSET + i * 2, name.charCodeAt(i), true);
+  }
+
+  const end = writeSection(view, SLOT_OFFSET + 0x100, inventory, dlc);
+  if (storage) {
+    // Past the 50 zero bytes that end the carried inventory
+    writeSection(view, end + 200, storage, dlc);
+  }
+
+  return buffer;
+}
+
+module.exports = { buildSave };
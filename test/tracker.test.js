@@ -0,0 +1,222 @@
+/**
+ * TrackerCore tests: synthetic saves analyzed against the real data files
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const TrackerCore = require('../assets/js/tracker.js');
+const { buildSave } = require('./helpers/saveBuilder.js');
+
+const WHISTLE = '40000082'; // Spectral Steed Whistle, Limgrave
+const COOKBOOK = '40002468'; // Armorer's Cookbook [1], Limgrave
+const IRON_HELMET = '10009C40'; // Weeping Peninsula
+
+const silent = { log() {}, warn() {} };
+let tracker;
+
+before(async () => {
+  tracker = new TrackerCore({ logger: silent });
+  await tracker.initialize({ includeDLC: true });
+});
+
+/**
+ * Analyze a synthetic save on the shared tracker
+ */
+function analyze(options) {
+  return tracker.processSaveFile(buildSave(options), 0, { includeDLC: true });
+}
+
+/**
+ * IDs of filtered items, without the copies of farmable items
+ */
+function filteredIds(criteria) {
+  return [...new Set(tracker.filterItems(criteria).map(item => item.id))];
+}
+
+test('filterItems splits owned items by where they are kept', async () => {
+  await analyze({
+    inventory: [{ id: WHISTLE }, { id: IRON_HELMET }],
+    storage: [{ id: COOKBOOK }, { id: IRON_HELMET }]
+  });
+
+  const owned = { status: 'owned' };
+  assert.deepStrictEqual(filteredIds({ ...owned, storage: 'held' }).sort(), [IRON_HELMET, WHISTLE].sort());
+  assert.deepStrictEqual(filteredIds({ ...owned, storage: 'stored' }).sort(), [COOKBOOK, IRON_HELMET].sort());
+  assert.deepStrictEqual(filteredIds({ ...owned, storage: 'both' }), [IRON_HELMET]);
+  assert.strictEqual(tracker.storageFound, true);
+});
+
+test('filterItems combines status, region, category and search', async () => {
+  await analyze({ inventory: [{ id: WHISTLE }] });
+
+  const missing = filteredIds({ status: 'missing', region: 'Limgrave', search: 'armorer' });
+  assert.ok(missing.includes(COOKBOOK));
+  assert.ok(!missing.includes(WHISTLE));
+
+  assert.deepStrictEqual(filteredIds({ status: 'owned' }), [WHISTLE]);
+  assert.deepStrictEqual(filteredIds({ status: 'owned', category: 'Armor' }), []);
+  assert.ok(filteredIds({ status: 'missing', category: 'Armor/Head' }).includes(IRON_HELMET));
+});
+
+test('filterItems leaves ignored items out of missing', async () => {
+  await analyze({ inventory: [] });
+  tracker.setItemOverride(COOKBOOK, 'ignored');
+
+  assert.ok(!filteredIds({ status: 'missing' }).includes(COOKBOOK));
+  assert.deepStrictEqual(filteredIds({ status: 'ignored' }), [COOKBOOK]);
+
+  tracker.setItemOverride(COOKBOOK, null);
+});
+
+test('normalizeItemId decodes weapon upgrade level and affinity', () => {
+  const catalogIds = new Set(['00895440']); // Uchigatana
+
+  assert.deepStrictEqual(tracker.normalizeItemId('00895440', catalogIds),
+    { id: '00895440', catalogId: '00895440', upgrade: 0, affinity: 'Standard', altered: false });
+  assert.deepStrictEqual(tracker.normalizeItemId('008954AB', catalogIds),
+    { id: '008954AB', catalogId: '00895440', upgrade: 7, affinity: 'Heavy', altered: false });
+  assert.deepStrictEqual(tracker.normalizeItemId('00895909', catalogIds),
+    { id: '00895909', catalogId: '00895440', upgrade: 25, affinity: 'Occult', altered: false });
+});
+
+test('normalizeItemId counts altered armor and upgraded spirit ashes as the base item', () => {
+  const catalogIds = new Set([IRON_HELMET, '400399E0']); // Spirit Jellyfish Ashes
+
+  assert.deepStrictEqual(tracker.normalizeItemId('1000A028', catalogIds),
+    { id: '1000A028', catalogId: IRON_HELMET, upgrade: null, affinity: null, altered: true });
+  assert.deepStrictEqual(tracker.normalizeItemId('400399EA', catalogIds),
+    { id: '400399EA', catalogId: '400399E0', upgrade: 10, affinity: null, altered: false });
+});
+
+test('normalizeItemId returns null for items outside the catalogue', () => {
+  const catalogIds = new Set([WHISTLE]);
+
+  assert.strictEqual(tracker.normalizeItemId('40000083', catalogIds), null);
+  assert.strictEqual(tracker.normalizeItemId('00895440', catalogIds), null);
+});
+
+test('an upgraded, infused weapon in the inventory owns its base weapon', async () => {
+  await analyze({ inventory: [{ id: '008954AB' }] });
+
+  const uchigatana = tracker.enrichedItems.find(item => item.id === '00895440');
+  assert.strictEqual(uchigatana.owned, true);
+  assert.strictEqual(uchigatana.upgrade, 7);
+  assert.strictEqual(uchigatana.affinity, 'Heavy');
+});
+
+/**
+ * Minimal enriched item for tests that set tracker.enrichedItems directly
+ */
+function item(fields) {
+  return {
+    id: '40000082',
+    name: 'Item',
+    region: 'Limgrave',
+    subregion: 'Limgrave',
+    category: 'Key Items',
+    subcategory: null,
+    type: 'chest',
+    owned: false,
+    excluded: false,
+    farmable: false,
+    altered: false,
+    ...fields
+  };
+}
+
+test('recommendRoute ranks subregions by missing items worth the trip', () => {
+  tracker.enrichedItems = [
+    item({ subregion: 'Stormhill' }),
+    item({ subregion: 'Stormhill', type: 'foe' }),
+    item({ subregion: 'Stormhill', owned: true }),
+    item({ subregion: 'Stormhill', excluded: true }),
+    item({ subregion: 'Limgrave' }),
+    item({ subregion: 'Limgrave', farmable: true }),
+    item({ region: 'Quests', subregion: 'Sorcerer Rogier' }),
+    item({ region: 'Caelid', subregion: 'Sellia' }),
+    item({ region: 'Caelid', subregion: 'Sellia' }),
+    item({ region: 'Caelid', subregion: 'Sellia' })
+  ];
+
+  const { stops } = tracker.recommendRoute();
+  assert.deepStrictEqual(stops.map(stop => [stop.subregion, stop.missing]),
+    [['Sellia', 3], ['Stormhill', 2], ['Limgrave', 1]]);
+  assert.deepStrictEqual(stops[1].types, { chest: 1, foe: 1 });
+});
+
+test('recommendRoute weighs categories by priority and skips priority 0', () => {
+  tracker.enrichedItems = [
+    item({ subregion: 'Stormhill', category: 'Talismans' }),
+    item({ region: 'Caelid', subregion: 'Sellia', category: 'Armor' }),
+    item({ region: 'Caelid', subregion: 'Sellia', category: 'Armor' }),
+    item({ region: 'Caelid', subregion: 'Sellia', category: 'Cookbooks' })
+  ];
+
+  const { stops } = tracker.recommendRoute({ priorities: { Talismans: 3, Armor: 0 } });
+  assert.deepStrictEqual(stops.map(stop => [stop.subregion, stop.score]), [['Stormhill', 3], ['Sellia', 1]]);
+});
+
+test('recommendRoute keeps pinned stops first and groups the itinerary by region', () => {
+  tracker.enrichedItems = [
+    item({ region: 'Caelid', subregion: 'Sellia' }),
+    item({ region: 'Caelid', subregion: 'Sellia' }),
+    item({ region: 'Caelid', subregion: 'Sellia' }),
+    item({ subregion: 'Stormhill' }),
+    item({ subregion: 'Stormhill' }),
+    item({ region: 'Caelid', subregion: 'Dragonbarrow' })
+  ];
+  const pinned = [{ region: 'Liurnia', subregion: 'Raya Lucaria' }];
+
+  const { stops, itinerary } = tracker.recommendRoute({ pinned, limit: 4 });
+  assert.deepStrictEqual(stops[0], { ...pinned[0], missing: 0, score: 0, types: {}, pinned: true });
+  assert.deepStrictEqual(stops.map(stop => stop.subregion), ['Raya Lucaria', 'Sellia', 'Stormhill', 'Dragonbarrow']);
+  assert.deepStrictEqual(itinerary.map(stop => stop.subregion), ['Raya Lucaria', 'Sellia', 'Dragonbarrow', 'Stormhill']);
+});
+
+test('groupArmorSets groups pieces by set ID and counts altered pieces', async () => {
+  await analyze({ inventory: [{ id: IRON_HELMET }, { id: '1000A08C' }] }); // Altered Scale Armor
+
+  const sets = tracker.groupArmorSets();
+  const iron = sets.find(set => set.id === 40);
+
+  assert.strictEqual(iron.name, 'Iron Set');
+  assert.deepStrictEqual(iron.slots, ['Head', 'Chest', 'Arms', 'Legs']);
+  assert.deepStrictEqual(
+    Object.fromEntries(Object.entries(iron.pieces).map(([slot, piece]) => [slot, piece.name])),
+    { Head: 'Iron Helmet', Chest: 'Scale Armor', Arms: 'Iron Gauntlets', Legs: 'Leather Trousers' }
+  );
+  assert.strictEqual(iron.pieces.Chest.altered, true);
+  assert.strictEqual(iron.owned, 2);
+  assert.strictEqual(iron.required, 4);
+  assert.strictEqual(iron.complete, false);
+  assert.ok(sets.every(set => Object.keys(set.pieces).length > 1));
+});
+
+test('groupArmorSets completes a set without its ignored pieces', async () => {
+  await analyze({ inventory: [{ id: IRON_HELMET }, { id: '10009CA4' }, { id: '10009D08' }] });
+  tracker.setItemOverride('10009D6C', 'ignored'); // Leather Trousers
+
+  const iron = tracker.groupArmorSets().find(set => set.id === 40);
+  assert.strictEqual(iron.pieces.Legs.excluded, true);
+  assert.strictEqual(iron.required, 3);
+  assert.strictEqual(iron.complete, true);
+
+  tracker.setItemOverride('10009D6C', null);
+});
+
+test('collectibles count held + stored stacks and only check places by hand', async () => {
+  const memoryStone = '4000272E';
+  await analyze({ inventory: [{ id: memoryStone, quantity: 2 }], storage: [{ id: memoryStone, quantity: 1 }] });
+
+  let stones = tracker.collectibles.find(collectible => collectible.id === memoryStone);
+  assert.strictEqual(stones.held, 3);
+  assert.ok(stones.places.every(place => !place.checked));
+
+  stones = tracker.setPlaceChecked(memoryStone, 4, true);
+  assert.strictEqual(stones.places[4].checked, true);
+  assert.strictEqual(stones.places.filter(place => place.checked).length, 1);
+
+  stones = tracker.setPlaceChecked(memoryStone, 4, false);
+  assert.ok(stones.places.every(place => !place.checked));
+});